@@ -0,0 +1,130 @@
+/**
+ * arena-venues.js
+ *
+ * Arena and Circus Turma can be fought on our own server (?mod=arena and
+ * ?mod=arena&submod=groupArena) or in Provinciarum (?submod=serverArena&aType=2/3).
+ * settings.arenaMode picks local, provinciarum, or alternating between the two, per combat type.
+ * Both venues share the same cooldowns and the same fight history.
+ */
+
+/**
+ * Last venue attacked in per combat type, e.g. { arena: "local" }; used when alternating.
+ */
+window.lastArenaVenues = {};
+
+/**
+ * Loads the last attacked venues into window.lastArenaVenues.
+ *
+ * @function loadArenaVenues
+ * @returns {Promise<object>}
+ */
+window.loadArenaVenues = function () {
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_arena_venues", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading arena venues:", chrome.runtime.lastError);
+                return resolve({});
+            }
+            window.lastArenaVenues = stored.gladex_arena_venues || {};
+            resolve(window.lastArenaVenues);
+        });
+    });
+};
+
+/**
+ * Remembers the venue we just attacked in, so alternating picks the other one next time.
+ *
+ * @function recordArenaVenue
+ * @param {string} type  - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {string} venue - One of ARENA_MODES.LOCAL / ARENA_MODES.PROVINCIARUM.
+ */
+window.recordArenaVenue = function (type, venue) {
+    window.lastArenaVenues[type] = venue;
+    chrome.storage.local.set({ gladex_arena_venues: window.lastArenaVenues }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error storing arena venues:", chrome.runtime.lastError);
+        }
+    });
+};
+
+/**
+ * The venue to fight the next Arena/Turma battle in, following settings.arenaMode.
+ *
+ * @function getArenaVenue
+ * @param {string} type - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @returns {string} ARENA_MODES.LOCAL or ARENA_MODES.PROVINCIARUM.
+ */
+window.getArenaVenue = function (type) {
+    const mode = window.settings.arenaMode;
+    if (mode === window.ARENA_MODES.LOCAL) {
+        return window.ARENA_MODES.LOCAL;
+    }
+    if (mode === window.ARENA_MODES.ALTERNATE) {
+        return window.lastArenaVenues[type] === window.ARENA_MODES.LOCAL
+            ? window.ARENA_MODES.PROVINCIARUM
+            : window.ARENA_MODES.LOCAL;
+    }
+    return window.ARENA_MODES.PROVINCIARUM;
+};
+
+/**
+ * Works out which Arena/Turma screen (if any) the current page is.
+ *
+ * @function getArenaScreen
+ * @returns {{ type: string, venue: string }|null}
+ */
+window.getArenaScreen = function () {
+    const query = new URLSearchParams(window.location.search);
+    if (query.get("mod") !== window.SCREEN_MODES.ARENA) {
+        return null;
+    }
+
+    const submod = query.get("submod") || window.ARENA_SUBMODES.ARENA;
+    if (submod === window.ARENA_SUBMODES.ARENA) {
+        return { type: window.COMBAT_TYPES.ARENA, venue: window.ARENA_MODES.LOCAL };
+    }
+    if (submod === window.ARENA_SUBMODES.CIRCUS_TURMA) {
+        return { type: window.COMBAT_TYPES.TURMA, venue: window.ARENA_MODES.LOCAL };
+    }
+    if (submod === window.ARENA_SUBMODES.PROVINCIARUM) {
+        if (query.get("aType") === String(window.PROVINCIARUM_TYPES.ARENA)) {
+            return { type: window.COMBAT_TYPES.ARENA, venue: window.ARENA_MODES.PROVINCIARUM };
+        }
+        if (query.get("aType") === String(window.PROVINCIARUM_TYPES.TURMA)) {
+            return { type: window.COMBAT_TYPES.TURMA, venue: window.ARENA_MODES.PROVINCIARUM };
+        }
+    }
+    return null;
+};
+
+/**
+ * Whether fights may be started on a venue under the current settings.arenaMode.
+ *
+ * @function isArenaVenueEnabled
+ * @param {string} venue - ARENA_MODES.LOCAL or ARENA_MODES.PROVINCIARUM.
+ * @returns {boolean}
+ */
+window.isArenaVenueEnabled = function (venue) {
+    const mode = window.settings.arenaMode || window.ARENA_MODES.PROVINCIARUM;
+    return mode === window.ARENA_MODES.ALTERNATE || mode === venue;
+};
+
+/**
+ * Builds the link to the Arena or Turma screen of a venue.
+ *
+ * @function getArenaVenueLink
+ * @param {string} type  - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {string} venue - ARENA_MODES.LOCAL or ARENA_MODES.PROVINCIARUM.
+ * @returns {string}
+ */
+window.getArenaVenueLink = function (type, venue) {
+    const isTurma = type === window.COMBAT_TYPES.TURMA;
+    if (venue === window.ARENA_MODES.LOCAL) {
+        return window.createLink(window.SCREEN_MODES.ARENA, isTurma ? window.ARENA_SUBMODES.CIRCUS_TURMA : null);
+    }
+    return window.createLink(
+        window.SCREEN_MODES.ARENA,
+        window.ARENA_SUBMODES.PROVINCIARUM,
+        { aType: isTurma ? window.PROVINCIARUM_TYPES.TURMA : window.PROVINCIARUM_TYPES.ARENA }
+    );
+};
@@ -0,0 +1,210 @@
+/**
+ * @file attack-selection.js
+ * @description
+ * Shared `.attack` selection for the Arena and Circus Turma tables. Opponents ruled out by
+ * the attack policy (see opponent-policy.js) are skipped; every other opponent row is
+ * scored with the configured model (see opponent-scoring.js) from its fight history; the
+ * best-scoring known opponent is attacked, and unknown opponents are only tried with a
+ * capped exploration rate. Scouted opponents are also run through the combat simulator, and
+ * opponents in the revenge queue (see revenge.js) are attacked first when they show up. With
+ * settings.refreshOpponents on, nobody is attacked unless they reach settings.minOpponentScore.
+ * Opponents that would leave us below the activity's HP floor (see hp-gate.js) are skipped.
+ *
+ * @requires jQuery
+ * @requires fight-history.js
+ * @requires opponent-policy.js
+ * @requires revenge.js
+ * @requires opponent-scoring.js
+ * @requires scouting.js
+ * @requires combat-sim.js
+ * @requires hp-gate.js
+ */
+
+/**
+ * Why selectOptimalAttack() found nobody to attack.
+ */
+window.ATTACK_REJECTIONS = {
+    NO_OPPONENTS: "noOpponents", // nobody allowed, or everyone clearly stronger than us
+    HP_GATE: "hpGate",           // someone was beatable, but our HP is too low for every one of them
+    LOW_SCORE: "lowScore",       // the best opponent scores below settings.minOpponentScore
+};
+
+/**
+ * The reason the last selectOptimalAttack() call per combat type found nobody, one of
+ * ATTACK_REJECTIONS; null once an opponent was selected.
+ */
+window.attackRejections = {};
+
+/**
+ * Collects and scores every opponent row in the given table that the attack policy allows.
+ *
+ * @function rankOpponents
+ * @param {jQuery} topElement - The top-level jQuery element containing `.attack` elements.
+ * @param {string} type       - One of COMBAT_TYPES (ARENA or TURMA).
+ * @param {Object<string, object>} [scouted] - Scouted stats keyed by profile URL (see scoutOpponents).
+ * @returns {Array<object>} { attackDiv, opponentName, opponentKey, profileUrl, score, pWin, averageGold, known, tooStrong,
+ *                          simulation, revengeAmount }, best score first.
+ */
+window.rankOpponents = function (topElement, type, scouted = {}) {
+    const opponents = [];
+    // Simulate with the HP we have now, not the HP last seen on the overview page
+    const ownStats = window.getCurrentOwnStats();
+
+    topElement.find(".attack").each(function () {
+        const attackDiv = $(this);
+        const row = attackDiv.closest("tr");
+
+        if (row.length === 0) {
+            console.log("`.attack` element is not within a `<tr>` row.");
+            return; // Skip this element
+        }
+
+        // Extract the opponent's name and profile link from the first `<td>`'s `<a>` element
+        const nameLink = row.find("td:first-child a");
+        const opponentName = nameLink.text().trim();
+        if (!opponentName) {
+            console.log("Opponent name not found for a `.attack` element.");
+            return; // Skip this element
+        }
+        // Provinciarum lists players from several servers, so key them by server and player ID
+        const href = nameLink.attr("href");
+        const profileUrl = href ? new URL(href, window.location.href).href : null;
+        const opponentKey = window.getOpponentKeyFromLink(href || null, opponentName);
+        window.adoptLegacyOpponent(type, opponentKey);
+        attackDiv.data("opponentKey", opponentKey);
+
+        const policy = window.isOpponentAllowed(type, opponentKey);
+        if (!policy.allowed) {
+            console.log(`Skipping ${opponentName}: ${policy.reason}.`);
+            return; // Skip this element
+        }
+
+        const scout = profileUrl ? scouted[profileUrl] || null : null;
+        const simulation = scout && ownStats && window.settings.useSimulator
+            ? window.simulateFights(ownStats, scout)
+            : null;
+        opponents.push({
+            attackDiv,
+            opponentName,
+            opponentKey,
+            profileUrl,
+            simulation,
+            revengeAmount: window.getRevengeAmount(type, opponentKey),
+            tooStrong: Boolean(scout && ownStats && window.isClearlyStronger(ownStats, scout, simulation)),
+            ...window.scoreOpponent(type, opponentKey, { scout, ownStats, simulation })
+        });
+    });
+
+    return opponents.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Picks a random entry among those sharing the best score.
+ *
+ * @param {Array<object>} ranked - Sorted by score, best first.
+ * @returns {object}
+ */
+function pickBestWithTies(ranked) {
+    const best = ranked.filter((opponent) => opponent.score === ranked[0].score);
+    return best[Math.floor(Math.random() * best.length)];
+}
+
+/**
+ * Selects the optimal `.attack` element from the provided top-level jQuery element.
+ *
+ * @function selectOptimalAttack
+ * @param {jQuery} topElement - The top-level jQuery element containing `.attack` elements.
+ * @param {string} type       - One of COMBAT_TYPES (ARENA or TURMA).
+ * @returns {Promise<jQuery|null>} A promise that resolves to the selected `.attack` jQuery element,
+ *                                 or `null` if no suitable element is found (the reason is left in
+ *                                 window.attackRejections[type]).
+ */
+window.selectOptimalAttack = function (topElement, type) {
+    return new Promise((resolve, reject) => {
+        // Validate input
+        if (!(topElement instanceof jQuery)) {
+            reject(new Error("Invalid topElement: Expected a jQuery object."));
+            return;
+        }
+
+        // Refresh the history and revenge queue so fights recorded in other tabs are taken into account
+        Promise.all([window.loadFightHistory(type), window.loadRevengeQueue()]).then(async () => {
+            // Scout the candidates' profiles first, so their stats can feed the scoring
+            let scouted = {};
+            if (window.settings.autoScout && window.ownStats) {
+                const profileUrls = topElement.find(".attack").closest("tr").find("td:first-child a")
+                    .toArray()
+                    .filter((link) => window.isOpponentAllowed(
+                        type,
+                        window.getOpponentKeyFromLink(link.getAttribute("href"), link.textContent.trim())
+                    ).allowed)
+                    .map((link) => link.getAttribute("href"))
+                    .filter(Boolean)
+                    .map((href) => new URL(href, window.location.href).href);
+                scouted = await window.scoutOpponents(profileUrls);
+            }
+
+            const beatable = window.rankOpponents(topElement, type, scouted)
+                .filter((opponent) => {
+                    if (opponent.tooStrong) {
+                        console.log(`Skipping ${opponent.opponentName}: clearly stronger than us.`);
+                        return false;
+                    }
+                    return true;
+                });
+            const ranked = beatable.filter((opponent) => {
+                if (!window.isFightHpSafe(type, opponent.opponentKey, opponent.simulation)) {
+                    console.log(`Skipping ${opponent.opponentName}: predicted HP after the fight is below the floor.`);
+                    return false;
+                }
+                return true;
+            });
+            if (!ranked.length) {
+                console.log("No allowed opponents with valid names (or beatable stats and safe HP) found.");
+                window.attackRejections[type] = beatable.length
+                    ? window.ATTACK_REJECTIONS.HP_GATE
+                    : window.ATTACK_REJECTIONS.NO_OPPONENTS;
+                resolve(null);
+                return;
+            }
+            window.attackRejections[type] = null;
+
+            // Take revenge first, on whoever raided the most gold
+            const revengeTargets = ranked.filter((opponent) => opponent.revengeAmount !== null);
+            if (window.settings.preferRevenge && revengeTargets.length) {
+                const target = revengeTargets.sort((a, b) => b.revengeAmount - a.revengeAmount)[0];
+                console.log("Selected revenge target:", {
+                    opponent: target.opponentName,
+                    raidedAmount: target.revengeAmount
+                });
+                resolve(target.attackDiv);
+                return;
+            }
+
+            const known = ranked.filter((opponent) => opponent.known);
+            const unknown = ranked.filter((opponent) => !opponent.known);
+            const explorationRate = Number(window.settings.explorationRate) || 0;
+
+            // Only explore unknown opponents at the capped rate, unless nobody is known yet
+            const explore = unknown.length && (!known.length || Math.random() < explorationRate);
+            const chosen = pickBestWithTies(explore ? unknown : known);
+
+            // Rather search for new opponents (see opponent-search.js) than force a bad fight
+            const minScore = Number(window.settings.minOpponentScore) || 0;
+            if (window.settings.refreshOpponents && chosen.score < minScore) {
+                console.log(`Best opponent ${chosen.opponentName} scores ${chosen.score}, below ${minScore}.`);
+                window.attackRejections[type] = window.ATTACK_REJECTIONS.LOW_SCORE;
+                resolve(null);
+                return;
+            }
+
+            console.log(`Selected ${explore ? "unknown" : "known"} opponent:`, {
+                opponent: chosen.opponentName,
+                score: chosen.score,
+                pWin: chosen.pWin,
+                expectedHpLost: chosen.simulation ? chosen.simulation.expectedHpLost : null
+            });
+            resolve(chosen.attackDiv);
+        }).catch(reject);
+    });
+};
@@ -0,0 +1,314 @@
+/**
+ * auction-scanner.js
+ *
+ * Periodically goes through the auction house (?mod=auction&itemType=...) for the item
+ * categories in settings.auctionCategories and stores what each item costs. Items matching a
+ * price alert in settings.auctionAlerts ("name = max gold", one per line) are highlighted and
+ * reported to the background worker, which shows them on the extension badge.
+ *
+ * Scanning is a low-priority scheduler task: each category page is one scheduler run, so
+ * fights that come off cooldown in the middle of a scan go first. The pages of a category are
+ * followed through its pager before moving on. A category that was opened but never showed up
+ * (an invalid itemType, or the game redirected elsewhere) is skipped. Each auction is alerted
+ * once: its id is remembered, so later scans only highlight it.
+ */
+
+/**
+ * Most price observations kept per server; the oldest are dropped first.
+ */
+window.AUCTION_OBSERVATION_LIMIT = 1000;
+
+/**
+ * Most alerted auction ids remembered per server; the oldest are dropped first.
+ */
+window.AUCTION_ALERTED_LIMIT = 200;
+
+/**
+ * Auction scan state for this server: { lastScanAt, queue, opened, nextPage, alerted }
+ * (queue = categories left to visit, opened = the category we last navigated to, nextPage = the
+ * pager link of the head category still to visit, alerted = ids of the auctions already alerted).
+ */
+window.auctionScan = { lastScanAt: 0, queue: [], opened: null, nextPage: null, alerted: [] };
+
+/**
+ * Loads the auction scan state for this server into window.auctionScan.
+ *
+ * @function loadAuctionScan
+ * @returns {Promise<object>}
+ */
+window.loadAuctionScan = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_auction_scan", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading auction scan:", chrome.runtime.lastError);
+                return resolve(window.auctionScan);
+            }
+            window.auctionScan = Object.assign(
+                { lastScanAt: 0, queue: [], opened: null, nextPage: null, alerted: [] },
+                (stored.gladex_auction_scan || {})[key]
+            );
+            resolve(window.auctionScan);
+        });
+    });
+};
+
+/**
+ * Stores window.auctionScan for this server.
+ *
+ * @returns {Promise<void>}
+ */
+function storeAuctionScan() {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_auction_scan", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading auction scan:", chrome.runtime.lastError);
+                return resolve();
+            }
+            const allScans = stored.gladex_auction_scan || {};
+            allScans[key] = window.auctionScan;
+            chrome.storage.local.set({ gladex_auction_scan: allScans }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing auction scan:", chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Appends price observations for this server to `gladex_auction_prices`.
+ *
+ * @param {Array<object>} observations
+ * @returns {Promise<void>}
+ */
+function storeAuctionObservations(observations) {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_auction_prices", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading auction prices:", chrome.runtime.lastError);
+                return resolve();
+            }
+            const allPrices = stored.gladex_auction_prices || {};
+            allPrices[key] = (allPrices[key] || []).concat(observations).slice(-window.AUCTION_OBSERVATION_LIMIT);
+            chrome.storage.local.set({ gladex_auction_prices: allPrices }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing auction prices:", chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * The item categories (auction itemType values) to scan.
+ *
+ * @function getAuctionCategories
+ * @returns {Array<number>}
+ */
+window.getAuctionCategories = function () {
+    return String(window.settings.auctionCategories || "")
+        .split(",")
+        .map((value) => parseInt(value, 10))
+        .filter((value) => !Number.isNaN(value));
+};
+
+/**
+ * Parses settings.auctionAlerts lines like "Rubicon = 5000".
+ *
+ * @function getAuctionAlerts
+ * @returns {Array<{ name: string, maxPrice: number }>}
+ */
+window.getAuctionAlerts = function () {
+    return (window.settings.auctionAlerts || [])
+        .map((line) => line.match(/^(.+?)\s*=\s*([\d.]+)$/))
+        .filter(Boolean)
+        .map((match) => ({ name: match[1].trim().toLowerCase(), maxPrice: parseInt(match[2].replace(/\./g, ""), 10) }));
+};
+
+/**
+ * Seconds until the next auction scan is due; 0 while a scan is in progress.
+ *
+ * @function getTimeUntilAuctionScan
+ * @returns {number}
+ */
+window.getTimeUntilAuctionScan = function () {
+    if (window.auctionScan.queue.length) {
+        return 0;
+    }
+    const intervalMs = (Number(window.settings.auctionScanMinutes) || 0) * 60000;
+    return Math.max(0, Math.ceil((window.auctionScan.lastScanAt + intervalMs - Date.now()) / 1000));
+};
+
+/**
+ * Opens the next page of the running scan, starting a new scan when none is running: the
+ * pending pager link of the head category, or else that category's first page. The category
+ * at the head of the queue is dropped if it was opened before without its page being recorded.
+ *
+ * @function openNextAuctionCategory
+ */
+window.openNextAuctionCategory = function () {
+    if (!window.auctionScan.queue.length) {
+        window.auctionScan = {
+            lastScanAt: Date.now(),
+            queue: window.getAuctionCategories(),
+            opened: null,
+            nextPage: null,
+            alerted: window.auctionScan.alerted
+        };
+        if (!window.auctionScan.queue.length) {
+            console.log("No auction categories configured; nothing to scan.");
+            storeAuctionScan();
+            return;
+        }
+    }
+
+    const query = new URLSearchParams(window.location.search);
+    if (!window.auctionScan.nextPage && query.get("mod") === window.SCREEN_MODES.AUCTION
+        && query.get("itemType") === String(window.auctionScan.queue[0])) {
+        return;
+    }
+    if (window.auctionScan.opened === window.auctionScan.queue[0]) {
+        console.log(`Auction category ${window.auctionScan.opened} did not load; skipping it.`);
+        window.auctionScan.queue.shift();
+        if (!window.auctionScan.queue.length) {
+            window.auctionScan.opened = null;
+            storeAuctionScan();
+            return;
+        }
+    }
+
+    const category = window.auctionScan.queue[0];
+    const page = window.auctionScan.nextPage;
+    window.auctionScan.opened = category;
+    window.auctionScan.nextPage = null;
+    storeAuctionScan().then(() => {
+        window.location.href = page || window.createLink(window.SCREEN_MODES.AUCTION, null, { itemType: category });
+    });
+};
+
+/**
+ * The pager link to the page after the current one within the same category. The pager
+ * (.paging) shows the current page as plain text and the others as links.
+ *
+ * @function getNextAuctionPage
+ * @param {number} category - The itemType of the current page.
+ * @returns {string|null} Absolute URL, or null on the last page.
+ */
+window.getNextAuctionPage = function (category) {
+    const link = $(".paging").children(":not(a)").first().nextAll("a").get(0);
+    if (!link) {
+        return null;
+    }
+    const url = new URL(link.getAttribute("href"), window.location.href);
+    if (url.searchParams.get("mod") !== window.SCREEN_MODES.AUCTION || url.searchParams.get("itemType") !== String(category)) {
+        return null;
+    }
+    return url.href;
+};
+
+/**
+ * Parses every item listed on the current auction page from its tooltip and form.
+ *
+ * @function parseAuctionItems
+ * The auction id identifies an item across scans; without one, name and prices are used.
+ *
+ * @returns {Array<{ form: JQuery, id: string, name: string, level: number, stats: object, bid: number, buyout: number }>}
+ */
+window.parseAuctionItems = function () {
+    const items = [];
+    $("#auction_table form").each((_, form) => {
+        const $form = $(form);
+        const lines = window.parseTooltipLines($form.find("[data-tooltip]").first().attr("data-tooltip"));
+        if (!lines.length) return;
+
+        const stats = {};
+        let level = 0;
+        lines.slice(1).forEach((line) => {
+            const match = line.replace(/\./g, "").match(/^([^:+\d-]+?)\s*:?\s*([+-]?\d+)/);
+            if (!match) return;
+            const label = match[1].trim().toLowerCase();
+            if (label === window.getLocaleString("statLevel")) {
+                level = parseInt(match[2], 10);
+            } else {
+                stats[label] = parseInt(match[2], 10);
+            }
+        });
+
+        const bid = parseInt($form.find('input[name="bid_amount"]').val(), 10) || 0;
+        const buyout = parseInt($form.find('input[name="buyouthd"]').val(), 10) || 0;
+        items.push({
+            form: $form,
+            id: $form.find('input[name="auctionid"]').val() || `${lines[0]}|${bid}|${buyout}`,
+            name: lines[0],
+            level,
+            stats,
+            bid,
+            buyout
+        });
+    });
+    return items;
+};
+
+/**
+ * Records the items of the current auction page, highlights price alerts and reports the ones
+ * not alerted before, then moves the running scan on to the next page or category.
+ *
+ * @function recordAuctionPage
+ * @returns {Promise<void>}
+ */
+window.recordAuctionPage = async function () {
+    const category = parseInt(new URLSearchParams(window.location.search).get("itemType"), 10);
+    const items = window.parseAuctionItems();
+    const now = Date.now();
+
+    if (items.length) {
+        await storeAuctionObservations(items.map((item) => ({
+            t: now,
+            category: Number.isNaN(category) ? null : category,
+            name: item.name,
+            level: item.level,
+            stats: item.stats,
+            bid: item.bid,
+            buyout: item.buyout
+        })));
+        console.log(`Recorded ${items.length} auction price(s) for category ${category}.`);
+    }
+
+    const alerts = window.getAuctionAlerts();
+    const matches = items.filter((item) => alerts.some((alert) => {
+        const price = item.buyout ? Math.min(item.bid || item.buyout, item.buyout) : item.bid;
+        return item.name.toLowerCase().includes(alert.name) && price > 0 && price <= alert.maxPrice;
+    }));
+    matches.forEach((item) => item.form.addClass("auction-alert"));
+    const fresh = matches.filter((item) => !window.auctionScan.alerted.includes(item.id));
+    if (fresh.length) {
+        console.log("Auction price alerts:", fresh.map((item) => `${item.name} (bid ${item.bid}, buyout ${item.buyout})`));
+        window.auctionScan.alerted = window.auctionScan.alerted
+            .concat(fresh.map((item) => item.id))
+            .slice(-window.AUCTION_ALERTED_LIMIT);
+        chrome.runtime.sendMessage({
+            type: "gladex_auction_alerts",
+            items: fresh.map((item) => ({ id: item.id, name: item.name, bid: item.bid, buyout: item.buyout }))
+        }, () => {
+            if (chrome.runtime.lastError) {
+                console.log("Background worker not reachable:", chrome.runtime.lastError.message);
+            }
+        });
+    }
+
+    if (window.auctionScan.queue[0] === category) {
+        window.auctionScan.nextPage = window.getNextAuctionPage(category);
+        if (!window.auctionScan.nextPage) {
+            window.auctionScan.queue.shift();
+        }
+        window.auctionScan.opened = null;
+        await storeAuctionScan();
+    } else if (fresh.length) {
+        await storeAuctionScan();
+    }
+};
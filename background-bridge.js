@@ -0,0 +1,70 @@
+/**
+ * background-bridge.js
+ *
+ * Connects the content scripts to the background service worker (background.js):
+ * reports remaining cooldowns after each scheduler cycle, and opens the screen of a
+ * task when the worker's alarms say its cooldown has expired.
+ */
+
+/**
+ * Sends the remaining cooldown of every scheduler task to the background worker.
+ * Disabled tasks are reported as null so the worker drops their alarms.
+ *
+ * @function reportCooldowns
+ * @param {Array<object>} candidates - Task evaluations from selectNextTask().
+ */
+window.reportCooldowns = function (candidates) {
+    if (!Array.isArray(candidates) || !chrome.runtime || !chrome.runtime.id) {
+        return;
+    }
+
+    const cooldowns = {};
+    candidates.forEach((candidate) => {
+        // Heal and gold protection have no cooldown of their own; they are driven by HP and gold checks in the tab.
+        if (candidate.id === window.SCHEDULER_TASKS.HEAL || candidate.id === window.SCHEDULER_TASKS.PROTECT_GOLD) return;
+        cooldowns[candidate.id] = candidate.enabled && Number.isFinite(candidate.cooldown)
+            ? candidate.cooldown
+            : null;
+    });
+
+    chrome.runtime.sendMessage({ type: "gladex_cooldowns", cooldowns }, () => {
+        if (chrome.runtime.lastError) {
+            console.log("Background worker not reachable:", chrome.runtime.lastError.message);
+        }
+    });
+};
+
+/**
+ * Handles a request of the background worker to open a task's screen. The request only
+ * wakes the scheduler: it runs a normal cycle, so readiness checks and task priorities
+ * still decide which task (if any) actually runs.
+ *
+ * @function openTask
+ * @param {string} taskId
+ * @returns {boolean} Whether a task was run.
+ */
+window.openTask = function (taskId) {
+    const task = window.schedulerTasks && window.schedulerTasks[taskId];
+    if (!task) {
+        console.log(`Unknown task "${taskId}" requested by background worker.`);
+        return false;
+    }
+    if (!window.settings || !task.isEnabled()) {
+        console.log(`Task "${taskId}" is disabled; ignoring background request.`);
+        return false;
+    }
+
+    console.log(`Background worker requested task "${taskId}".`);
+    const ranTaskId = window.runSchedulerCycle();
+    if (ranTaskId !== taskId) {
+        console.log(`Scheduler ran "${ranTaskId}" instead of the requested "${taskId}".`);
+    }
+    return ranTaskId !== null;
+};
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (!message || message.type !== "gladex_open_task") {
+        return;
+    }
+    sendResponse({ handled: window.openTask(message.taskId) });
+});
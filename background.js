@@ -0,0 +1,324 @@
+/*************************
+ * background.js
+ *************************/
+/**
+ * background.js
+ *
+ * MV3 service worker that keeps automation going independently of the open game tab.
+ * Content scripts report their remaining cooldowns; this worker stores them as absolute
+ * expiry timestamps (so they survive page reloads) and uses chrome.alarms to tell the
+ * game tab which screen to open next once a cooldown expires.
+ */
+
+/**
+ * Default task order, used until settings.taskPriority is saved (mirrors constants.js).
+ */
+const DEFAULT_TASK_PRIORITY = ["heal", "protectGold", "expedition", "dungeon", "turma", "arena", "auctionScan"];
+
+/**
+ * Prefix of the per-task alarm names, e.g. "gladex_task_expedition".
+ */
+const TASK_ALARM_PREFIX = "gladex_task_";
+
+/**
+ * Periodic alarm that checks on the game tab in case a navigation failed.
+ */
+const WATCHDOG_ALARM = "gladex_watchdog";
+
+/**
+ * Expiry changes smaller than this are treated as the same cooldown (ms).
+ */
+const EXPIRY_TOLERANCE_MS = 5000;
+
+/**
+ * If a task stays expired this long without a fresh report, the tab is nudged again (ms).
+ */
+const OVERDUE_TASK_MS = 60 * 1000;
+
+/**
+ * If the game tab hasn't reported anything for this long, it is reloaded (ms).
+ */
+const STALE_TAB_MS = 3 * 60 * 1000;
+
+/**
+ * Promise wrapper around chrome.storage.local.get.
+ *
+ * @function getFromStorage
+ * @param {string|Array<string>} keys
+ * @returns {Promise<object>}
+ */
+function getFromStorage(keys) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(keys, (data) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error reading from storage:", chrome.runtime.lastError);
+                return resolve({});
+            }
+            resolve(data || {});
+        });
+    });
+}
+
+/**
+ * Promise wrapper around chrome.storage.local.set.
+ *
+ * @function setInStorage
+ * @param {object} items
+ * @returns {Promise<void>}
+ */
+function setInStorage(items) {
+    return new Promise((resolve) => {
+        chrome.storage.local.set(items, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error writing to storage:", chrome.runtime.lastError);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Stores the reported cooldowns as absolute expiry timestamps and (re)creates their alarms.
+ *
+ * @function handleCooldownReport
+ * @param {Object<string, number|null>} cooldowns - Seconds until each task is ready, null if disabled.
+ * @param {number} tabId - The tab that sent the report.
+ */
+async function handleCooldownReport(cooldowns, tabId) {
+    const now = Date.now();
+    const { gladex_cooldown_expiry: storedExpiry } = await getFromStorage("gladex_cooldown_expiry");
+    const expiry = storedExpiry || {};
+
+    Object.entries(cooldowns || {}).forEach(([taskId, seconds]) => {
+        const alarmName = TASK_ALARM_PREFIX + taskId;
+        if (seconds === null || seconds === undefined) {
+            delete expiry[taskId];
+            chrome.alarms.clear(alarmName);
+            return;
+        }
+
+        const newExpiry = now + seconds * 1000;
+        if (expiry[taskId] && Math.abs(expiry[taskId] - newExpiry) < EXPIRY_TOLERANCE_MS) {
+            return;
+        }
+        expiry[taskId] = newExpiry;
+        if (seconds > 0) {
+            chrome.alarms.create(alarmName, { when: newExpiry });
+        } else {
+            chrome.alarms.clear(alarmName);
+        }
+    });
+
+    await setInStorage({
+        gladex_cooldown_expiry: expiry,
+        gladex_background_state: { tabId, lastReportAt: now }
+    });
+}
+
+/**
+ * Whether a URL is a page of the game itself (https://s1-en.gladiatus.gameforge.com/game/...).
+ *
+ * @function isGameUrl
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+function isGameUrl(url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        return hostname.endsWith(".gladiatus.gameforge.com") && pathname.startsWith("/game/");
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Looks up the stored game tab. If it was closed or no longer shows the game, the stored tab
+ * state is dropped, so the user's page is not reloaded or messaged.
+ *
+ * @function getGameTab
+ * @param {{ tabId: number }} state - The stored gladex_background_state.
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+function getGameTab(state) {
+    return new Promise((resolve) => {
+        chrome.tabs.get(state.tabId, (tab) => {
+            if (!chrome.runtime.lastError && tab && isGameUrl(tab.url)) {
+                return resolve(tab);
+            }
+            console.log(`Tab ${state.tabId} no longer shows the game; forgetting it.`);
+            chrome.storage.local.remove("gladex_background_state", () => resolve(null));
+        });
+    });
+}
+
+/**
+ * Reloads the game tab, unless it no longer shows the game.
+ *
+ * @function reloadGameTab
+ * @param {{ tabId: number }} state - The stored gladex_background_state.
+ */
+async function reloadGameTab(state) {
+    if (!(await getGameTab(state))) {
+        return;
+    }
+    chrome.tabs.reload(state.tabId, () => {
+        if (chrome.runtime.lastError) {
+            console.log("Game tab could not be reloaded:", chrome.runtime.lastError.message);
+        }
+    });
+}
+
+/**
+ * Picks the expired task with the best priority.
+ *
+ * @function pickExpiredTask
+ * @param {Object<string, number>} expiry - Absolute expiry timestamps keyed by task id.
+ * @param {Array<string>} priority - Task ids, most important first.
+ * @param {number} [overdueMs=0] - Only consider tasks expired at least this long ago.
+ * @returns {string|null} The chosen task id.
+ */
+function pickExpiredTask(expiry, priority, overdueMs = 0) {
+    const now = Date.now();
+    const rank = (taskId) => {
+        const index = priority.indexOf(taskId);
+        return index === -1 ? priority.length : index;
+    };
+    const expired = Object.keys(expiry)
+        .filter((taskId) => expiry[taskId] + overdueMs <= now)
+        .sort((a, b) => rank(a) - rank(b));
+    return expired[0] || null;
+}
+
+/**
+ * Tells the game tab to open the screen of the given task. If the tab doesn't answer
+ * (navigation failure, error page, content script gone) it is reloaded instead.
+ *
+ * @function nudgeGameTab
+ * @param {string} taskId
+ */
+async function nudgeGameTab(taskId) {
+    const { gladex_background_state: state } = await getFromStorage("gladex_background_state");
+    if (!state || state.tabId === undefined || state.tabId === null) {
+        console.log("No game tab known yet; cannot open task:", taskId);
+        return;
+    }
+    if (!(await getGameTab(state))) {
+        return;
+    }
+
+    console.log(`Asking game tab ${state.tabId} to open task "${taskId}".`);
+    chrome.tabs.sendMessage(state.tabId, { type: "gladex_open_task", taskId }, () => {
+        if (chrome.runtime.lastError) {
+            console.log("Game tab did not respond; reloading it:", chrome.runtime.lastError.message);
+            reloadGameTab(state);
+        }
+    });
+}
+
+/**
+ * Handles a fired alarm: either a task cooldown expired, or the periodic watchdog ran.
+ *
+ * @function handleAlarm
+ * @param {chrome.alarms.Alarm} alarm
+ */
+async function handleAlarm(alarm) {
+    const data = await getFromStorage(["gladex_cooldown_expiry", "gladex_background_state", "gladex_settings"]);
+    const expiry = data.gladex_cooldown_expiry || {};
+    const settings = data.gladex_settings || {};
+    const priority = Array.isArray(settings.taskPriority) ? settings.taskPriority : DEFAULT_TASK_PRIORITY;
+
+    if (alarm.name.startsWith(TASK_ALARM_PREFIX)) {
+        const taskId = pickExpiredTask(expiry, priority);
+        if (taskId) {
+            await nudgeGameTab(taskId);
+        }
+        return;
+    }
+
+    if (alarm.name === WATCHDOG_ALARM) {
+        const state = data.gladex_background_state;
+        if (!state) {
+            return;
+        }
+        // Nothing is enabled, so there is nothing to drive: leave the tab alone
+        if (!Object.keys(expiry).length) {
+            return;
+        }
+        if (Date.now() - state.lastReportAt > STALE_TAB_MS) {
+            console.log("Game tab has gone quiet; reloading it.");
+            await reloadGameTab(state);
+            return;
+        }
+        const overdueTask = pickExpiredTask(expiry, priority, OVERDUE_TASK_MS);
+        if (overdueTask) {
+            await nudgeGameTab(overdueTask);
+        }
+    }
+}
+
+/**
+ * Adds auction price alerts from the game tab to the ones not yet acknowledged (stored by
+ * auction id in gladex_auction_alerts) and shows them all on the extension badge; the badge
+ * title lists the items. Opening the settings popup acknowledges them.
+ *
+ * @function showAuctionAlerts
+ * @param {Array<{ id: string, name: string, bid: number, buyout: number }>} items
+ * @returns {Promise<void>}
+ */
+async function showAuctionAlerts(items) {
+    if (!Array.isArray(items) || !items.length) {
+        return;
+    }
+    const data = await getFromStorage("gladex_auction_alerts");
+    const alerts = data.gladex_auction_alerts || {};
+    const fresh = items.filter((item) => item.id && !alerts[item.id]);
+    if (!fresh.length) {
+        return;
+    }
+    fresh.forEach((item) => {
+        alerts[item.id] = { name: item.name, bid: item.bid, buyout: item.buyout };
+    });
+    await setInStorage({ gladex_auction_alerts: alerts });
+
+    const shown = Object.values(alerts);
+    chrome.action.setBadgeBackgroundColor({ color: "#ff9800" });
+    chrome.action.setBadgeText({ text: String(shown.length) });
+    chrome.action.setTitle({
+        title: shown.map((item) => `${item.name}: bid ${item.bid}, buyout ${item.buyout}`).join("\n")
+    });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.alarms.create(WATCHDOG_ALARM, { periodInMinutes: 1 });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    chrome.alarms.create(WATCHDOG_ALARM, { periodInMinutes: 1 });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    handleAlarm(alarm).catch((err) => {
+        console.error("Error handling alarm:", err);
+    });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.type !== "gladex_cooldowns" || !sender.tab) {
+        return;
+    }
+    handleCooldownReport(message.cooldowns, sender.tab.id).catch((err) => {
+        console.error("Error handling cooldown report:", err);
+    });
+    // Reply right away, so the tab's callback doesn't see a closed message port
+    sendResponse({ received: true });
+});
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (!message || message.type !== "gladex_auction_alerts") {
+        return;
+    }
+    showAuctionAlerts(message.items).catch((err) => {
+        console.error("Error showing auction alerts:", err);
+    });
+    sendResponse({ received: true });
+});
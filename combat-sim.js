@@ -0,0 +1,217 @@
+/**
+ * combat-sim.js
+ *
+ * Local Monte Carlo combat simulator. Given two stat blocks (see parseProfileStats) it plays
+ * out fights with Gladiatus-like rules: hit chance from dexterity against agility, critical
+ * hits, blocks, double hits, armour absorption and a round limit after which whoever dealt
+ * more damage wins. The result ({ pWin, expectedHpLost }) feeds Arena/Turma target selection
+ * and the expedition target overlay.
+ */
+
+/**
+ * Rounds played before a fight is decided on damage dealt.
+ */
+window.SIM_MAX_ROUNDS = 15;
+
+/**
+ * Fights simulated per estimate when settings.simulationRuns is not set.
+ */
+window.SIM_DEFAULT_RUNS = 300;
+
+/**
+ * Clamps a value into [min, max].
+ *
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Share of a against a + b, or 0.5 when both are 0.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function ratio(a, b) {
+    return a + b > 0 ? a / (a + b) : 0.5;
+}
+
+/**
+ * Random integer in [min, max].
+ *
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function randomBetween(min, max) {
+    return min + Math.floor(Math.random() * (Math.floor(max) - Math.floor(min) + 1));
+}
+
+/**
+ * Per-hit chances of an attacker against a defender. Explicit critChance/blockChance
+ * values on the stat blocks (e.g. from item bonuses) win over the attribute-based estimates.
+ *
+ * @function getCombatChances
+ * @param {object} attacker - Stats of the side hitting.
+ * @param {object} defender - Stats of the side being hit.
+ * @returns {{ hit: number, critical: number, block: number, doubleHit: number }}
+ */
+window.getCombatChances = function (attacker, defender) {
+    const dexterityShare = ratio(attacker.dexterity || 0, defender.agility || 0);
+    return {
+        hit: clamp(dexterityShare, 0.05, 0.95),
+        critical: attacker.critChance !== undefined
+            ? attacker.critChance
+            : clamp((dexterityShare - 0.4) / 2, 0, 0.5),
+        block: defender.blockChance !== undefined
+            ? defender.blockChance
+            : clamp((ratio(defender.agility || 0, attacker.strength || 0) - 0.4) / 2, 0, 0.5),
+        doubleHit: clamp(ratio(attacker.charisma || 0, defender.intelligence || 0) - 0.5, 0, 0.3)
+    };
+};
+
+/**
+ * Damage of a single landed hit: weapon damage plus the strength bonus, doubled on a
+ * critical hit, halved on a block, minus what the defender's armour absorbs.
+ *
+ * @param {object} attacker
+ * @param {object} defender
+ * @param {object} chances - From getCombatChances().
+ * @returns {number}
+ */
+function rollHitDamage(attacker, defender, chances) {
+    let damage = randomBetween(attacker.damageMin || 0, attacker.damageMax || 0) + (attacker.strength || 0) / 10;
+    if (Math.random() < chances.critical) {
+        damage *= 2;
+    }
+    if (Math.random() < chances.block) {
+        damage /= 2;
+    }
+    const armour = defender.armour || 0;
+    damage -= randomBetween(armour / 74, armour / 66);
+    return Math.max(0, Math.round(damage));
+}
+
+/**
+ * Plays one fight. We strike first each round, as the side starting the attack.
+ *
+ * @function simulateFight
+ * @param {object} own      - Our stats; hp is our current HP.
+ * @param {object} opponent - Their stats.
+ * @returns {{ won: boolean, hpLost: number, rounds: number }}
+ */
+window.simulateFight = function (own, opponent) {
+    const sides = [
+        { stats: own, hp: own.hp || own.maxHp || 1, dealt: 0 },
+        { stats: opponent, hp: opponent.hp || opponent.maxHp || 1, dealt: 0 }
+    ];
+    const chances = [
+        window.getCombatChances(own, opponent),
+        window.getCombatChances(opponent, own)
+    ];
+
+    let round = 0;
+    while (round < window.SIM_MAX_ROUNDS && sides[0].hp > 0 && sides[1].hp > 0) {
+        round++;
+        for (let i = 0; i < 2; i++) {
+            const attacker = sides[i];
+            const defender = sides[1 - i];
+            if (attacker.hp <= 0 || defender.hp <= 0) {
+                break;
+            }
+            const strikes = Math.random() < chances[i].doubleHit ? 2 : 1;
+            for (let s = 0; s < strikes && defender.hp > 0; s++) {
+                if (Math.random() < chances[i].hit) {
+                    const damage = Math.min(defender.hp, rollHitDamage(attacker.stats, defender.stats, chances[i]));
+                    defender.hp -= damage;
+                    attacker.dealt += damage;
+                }
+            }
+        }
+    }
+
+    let won;
+    if (sides[1].hp <= 0) {
+        won = true;
+    } else if (sides[0].hp <= 0) {
+        won = false;
+    } else {
+        won = sides[0].dealt > sides[1].dealt;
+    }
+    return { won, hpLost: sides[1].dealt, rounds: round };
+};
+
+/**
+ * Runs many simulated fights and summarises them.
+ *
+ * @function simulateFights
+ * @param {object} own      - Our stats.
+ * @param {object} opponent - Their stats.
+ * @param {number} [runs]   - Defaults to settings.simulationRuns or SIM_DEFAULT_RUNS.
+ * @returns {{ pWin: number, expectedHpLost: number, runs: number }}
+ */
+window.simulateFights = function (own, opponent, runs) {
+    const settings = window.settings || {};
+    const total = Math.max(1, runs || Number(settings.simulationRuns) || window.SIM_DEFAULT_RUNS);
+
+    let wins = 0;
+    let hpLost = 0;
+    for (let i = 0; i < total; i++) {
+        const fight = window.simulateFight(own, opponent);
+        if (fight.won) {
+            wins++;
+        }
+        hpLost += fight.hpLost;
+    }
+    return { pWin: wins / total, expectedHpLost: hpLost / total, runs: total };
+};
+
+/**
+ * Reads a monster's stats from the tooltip of its expedition picture, when the game shows one.
+ * Lines look like "Strength: 23" or "Damage: 4 - 9"; labels come from the locale pack.
+ *
+ * @function parseMonsterStats
+ * @param {JQuery} $box - The .expedition_box of the monster.
+ * @returns {object|null} A stat block like parseProfileStats(), or null without a tooltip.
+ */
+window.parseMonsterStats = function ($box) {
+    const lines = window.parseTooltipLines($box.find("[data-tooltip]").first().attr("data-tooltip"));
+    if (!lines.length) {
+        return null;
+    }
+
+    const values = {};
+    lines.forEach((line) => {
+        const match = line.replace(/\./g, "").match(/^([^:]+):\s*(\d+)(?:\s*-\s*(\d+))?/);
+        if (match) {
+            values[match[1].trim().toLowerCase()] = [parseInt(match[2], 10), parseInt(match[3] || match[2], 10)];
+        }
+    });
+    const read = (key) => values[window.getLocaleString(key)] || [0, 0];
+
+    const level = read("statLevel")[0];
+    if (!level) {
+        return null;
+    }
+    const [damageMin, damageMax] = read("statDamage");
+    const [hp] = read("statLife");
+    return {
+        level,
+        strength: read("statStrength")[0],
+        dexterity: read("statDexterity")[0],
+        agility: read("statAgility")[0],
+        constitution: read("statConstitution")[0],
+        charisma: read("statCharisma")[0],
+        intelligence: read("statIntelligence")[0],
+        armour: read("statArmour")[0],
+        damageMin,
+        damageMax,
+        hp,
+        maxHp: hp
+    };
+};
@@ -14,9 +14,10 @@
 window.timeLocked = false;
 
 /**
- * A global object to store Turma attack histories.
+ * The logged-in player's identity for this server ({ name, playerId, serverId, country }).
+ * Filled by player.js; null until detected on the overview page.
  */
-window.turmaAttackHistory = {};
+window.playerIdentity = null;
 
 /**
  * Holds user-defined or default settings. Will be merged upon initialization.
@@ -38,9 +39,75 @@ window.default_settings = {
     dungeonStrategy: 0, // 0 => SLOW, 1 => FAST
     dungeonBossFight: false,
     forceReload: false,
-    autoArena: true
+    autoArena: true,
+    taskPriority: ["heal", "protectGold", "expedition", "dungeon", "turma", "arena", "auctionScan"],
+    captureFixtures: false,
+    scoringModel: "bayesian",
+    scoringPriorWins: 1,
+    scoringPriorLosses: 1,
+    scoringHalfLifeDays: 14,
+    explorationRate: 0.2,
+    autoScout: true,
+    scoutCacheHours: 12,
+    scoutMaxLevelGap: 5,
+    scoutMinPowerShare: 0.3,
+    useSimulator: true,
+    simulationRuns: 300,
+    opponentBlacklist: [],
+    opponentWhitelist: [],
+    protectGuildMembers: true,
+    maxLossesPerOpponent: 3,
+    preferRevenge: true,
+    revengeExpiryHours: 24,
+    refreshOpponents: false,
+    minOpponentScore: 50,
+    opponentRefreshRetries: 3,
+    arenaMode: "provinciarum",
+    healTargetHP: 0.9,
+    waitForRegen: true,
+    healTeam: false,
+    teamMinHP: [0.5],
+    autoBuyFood: false,
+    foodBudget: 5000,
+    reserveGold: 1000,
+    hpFloorExpedition: 0.15,
+    hpFloorDungeon: 0.15,
+    hpFloorArena: 0.1,
+    hpFloorTurma: 0.1,
+    protectGold: false,
+    goldProtectThreshold: 10000,
+    goldSink: "guildBank",
+    goldTrainingSkill: 1,
+    goldAuctionItem: "",
+    auctionScan: false,
+    auctionScanMinutes: 60,
+    auctionCategories: "",
+    auctionAlerts: []
 };
 
+/**
+ * Ids of the activities registered with the scheduler (see scheduler.js).
+ */
+window.SCHEDULER_TASKS = {
+    HEAL: "heal",
+    EXPEDITION: "expedition",
+    DUNGEON: "dungeon",
+    TURMA: "turma",
+    ARENA: "arena",
+    PROTECT_GOLD: "protectGold",
+    AUCTION_SCAN: "auctionScan",
+};
+
+/**
+ * How many scheduler decisions are kept in the persisted decision log.
+ */
+window.SCHEDULER_LOG_LIMIT = 50;
+
+/**
+ * Minimum time between two persisted decisions that picked the same task (ms).
+ */
+window.SCHEDULER_LOG_INTERVAL_MS = 60 * 1000;
+
 /**
  * Possible screen modes for ?mod=...
  */
@@ -53,6 +120,27 @@ window.SCREEN_MODES = {
     FORGE: "forge",
     AUCTION: "auction",
     ARENA: "arena",
+    GUILD: "guild",
+    INVENTORY: "inventory",
+    GUILD_BANK: "guildBankingHouse",
+};
+
+/**
+ * Where gold protection spends gold above the threshold (settings.goldSink).
+ */
+window.GOLD_SINKS = {
+    GUILD_BANK: "guildBank",
+    TRAINING: "training",
+    AUCTION: "auction",
+};
+
+/**
+ * Where Arena/Turma fights happen (settings.arenaMode): our own server, Provinciarum, or both in turn.
+ */
+window.ARENA_MODES = {
+    LOCAL: "local",
+    PROVINCIARUM: "provinciarum",
+    ALTERNATE: "alternate",
 };
 
 /**
@@ -125,12 +213,12 @@ window.CTA_SELECTORS = {
     THOROUGH_SEARCH:
         $(".loot-button")
             .toArray()
-            .filter((e) => $(e).text().trim().toLowerCase() === "thorough search")[0] || null,
+            .filter((e) => $(e).text().trim().toLowerCase() === window.getLocaleString("thoroughSearch"))[0] || null,
 
     START_DUNGEON: (() => {
         const h3Filtered = $("h3")
             .toArray()
-            .filter((e) => $(e).text().trim().toLowerCase() !== "enter dungeon");
+            .filter((e) => $(e).text().trim().toLowerCase() !== window.getLocaleString("enterDungeon"));
         if (h3Filtered.length === 0) return null;
         const nextElem = $(h3Filtered[0]).next();
         if (!nextElem.length) return null;
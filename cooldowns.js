@@ -52,7 +52,7 @@ window.getRemainingTime = function (selector, expectedPhrase) {
  */
 window.getTimeUntilExpedition = function () {
     // Uses SELECTORS defined in constants.js
-    return window.getRemainingTime(window.SELECTORS.ExpeditionTimeText, "go to expedition");
+    return window.getRemainingTime(window.SELECTORS.ExpeditionTimeText, window.getLocaleString("goToExpedition"));
 };
 
 /**
@@ -61,7 +61,7 @@ window.getTimeUntilExpedition = function () {
  */
 window.getTimeUntilDungeon = function () {
     // Uses SELECTORS defined in constants.js
-    return window.getRemainingTime(window.SELECTORS.DungeonTimeText, "go to dungeon");
+    return window.getRemainingTime(window.SELECTORS.DungeonTimeText, window.getLocaleString("goToDungeon"));
 };
 
 /**
@@ -71,7 +71,7 @@ window.getTimeUntilDungeon = function () {
 window.getTimeToTurma = function () {
     // Attempt to read from the #cooldown_bar_ct element
     const turmaText = ($("#cooldown_bar_ct").text() || "").trim().toLowerCase();
-    if (turmaText === "to circus turma") {
+    if (turmaText === window.getLocaleString("toCircusTurma")) {
         return 0;
     }
     // Fallback to parseTime; if invalid, it returns 0
@@ -84,7 +84,7 @@ window.getTimeToTurma = function () {
 window.getTimeToArena = function () {
     // Attempt to read from the #cooldown_bar_text_arena element
     const arenaText = ($("#cooldown_bar_text_arena").text() || "").trim().toLowerCase();
-    if (arenaText === "go to the arena") {
+    if (arenaText === window.getLocaleString("goToArena")) {
         return 0;
     }
     // Fallback to parseTime; if invalid, it returns 0
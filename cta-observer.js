@@ -24,6 +24,11 @@ window.handleCTASelectors = function () {
 
         // Ensure the element is present in DOM
         if ($(selector).length) {
+            // Starting a dungeon opens a new run; store it before the page navigates away
+            if (key === "START_DUNGEON" && typeof window.startDungeonRun === "function") {
+                window.startDungeonRun(selector.value).finally(() => selector.click());
+                return true;
+            }
             selector.click();
             return true;
         }
@@ -61,54 +66,16 @@ window.handleMutation = async function (mutation) {
         }, 5000);
     }
 
-    // Next, handle other time-based triggers in a Promise
-    const timeChangesPromise = new Promise((resolve, reject) => {
-        try {
-            // Ensure the needed functions and settings exist
-            if (
-                typeof window.getTimeUntilExpedition === "function" &&
-                typeof window.getTimeUntilDungeon === "function" &&
-                typeof window.getCurrentHP === "function" &&
-                typeof window.getTimeToTurma === "function" &&
-                typeof window.openExpeditionTab === "function" &&
-                typeof window.attack_target === "function" &&
-                typeof window.openDungeonTab === "function" &&
-                typeof window.openProfile === "function" &&
-                typeof window.openTurma === "function" &&
-                typeof window.openArena === "function" &&
-                typeof window.update_settings === "function" &&
-                typeof window.settings === "object"
-            ) {
-                if (window.getTimeUntilExpedition() === 0 && window.settings.autoExpedition) {
-                    window.update_settings("forceReload", true);
-                    window.openExpeditionTab();
-                    window.attack_target();
-                }
-                if (window.getTimeUntilDungeon() === 0 && window.settings.autoDungeon) {
-                    window.update_settings("forceReload", true);
-                    window.openDungeonTab();
-                }
-                if (window.getCurrentHP() < window.settings.minHP && window.settings.autoHeal) {
-                    window.openProfile();
-                }
-                if (window.getTimeToTurma() === 0 && window.settings.autoTurma) {
-                    window.openTurma();
-                }
-                if (window.getTimeToArena() === 0 && window.settings.autoArena) {
-                    window.openArena();
-                }
-            } else {
-                console.log("Some required functions or settings are missing.");
-            }
-            resolve();
-        } catch (err) {
-            reject(err);
-        }
-    });
-
-    // Wait for the time-based checks to complete
+    // Next, let the scheduler pick exactly one time-based action
     try {
-        await timeChangesPromise;
+        if (typeof window.recordHpSample === "function") {
+            window.recordHpSample();
+        }
+        if (typeof window.runSchedulerCycle === "function") {
+            window.runSchedulerCycle();
+        } else {
+            console.log("runSchedulerCycle is not defined; skipping time-based triggers.");
+        }
     } catch (err) {
         console.error("Error during time-based triggers:", err);
     }
@@ -136,61 +103,41 @@ window.onMutations = function (mutationsList) {
 window.timeObserver = new MutationObserver(window.onMutations);
 
 /**
- * Stub to open the Turma interface (unimplemented logic).
+ * Opens the Circus Turma screen of the venue picked by settings.arenaMode (see arena-venues.js).
  */
 window.openTurma = function () {
-    // Provide a fallback if createLink or certain objects aren't defined
-    if (typeof window.createLink !== "function") {
-        console.log("createLink is not defined. Cannot open Turma interface.");
-        return;
-    }
-
-    const query = new URLSearchParams(window.location.search);
-
-    // If we are already in Circus Turma, just log and return
-    if (
-        query.get("submod") === "serverArena" &&
-        query.get("aType") === "3" &&
-        query.get("mod") === "arena"
-    ) {
-        console.log("Already in Circus Turma context.");
-        return;
-    }
-
-    console.log("Opening Turma interface...");
-    window.location.href = window.createLink(
-        window.SCREEN_MODES.ARENA,
-        window.ARENA_SUBMODES.PROVINCIARUM,
-        { aType: window.PROVINCIARUM_TYPES.TURMA }
-    );
+    openArenaVenue(window.COMBAT_TYPES.TURMA, "Circus Turma");
 };
 
 /**
- * Stub to open the Arena interface (unimplemented logic).
+ * Opens the Arena screen of the venue picked by settings.arenaMode (see arena-venues.js).
  */
 window.openArena = function () {
+    openArenaVenue(window.COMBAT_TYPES.ARENA, "Arena");
+};
+
+/**
+ * Navigates to the Arena/Turma screen of the next venue, unless we are already there.
+ *
+ * @param {string} type  - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {string} label - Name used in the logs.
+ */
+function openArenaVenue(type, label) {
     // Provide a fallback if createLink or certain objects aren't defined
-    if (typeof window.createLink !== "function") {
-        console.log("createLink is not defined. Cannot open Arena interface.");
+    if (typeof window.createLink !== "function" || typeof window.getArenaVenue !== "function") {
+        console.log(`createLink or getArenaVenue is not defined. Cannot open ${label} interface.`);
         return;
     }
 
-    const query = new URLSearchParams(window.location.search);
+    const venue = window.getArenaVenue(type);
+    const screen = window.getArenaScreen();
 
-    // If we are already in Circus Turma, just log and return
-    if (
-        query.get("submod") === "serverArena" &&
-        query.get("aType") === "2" &&
-        query.get("mod") === "arena"
-    ) {
-        console.log("Already in Arena context.");
+    // If we are already on that screen, just log and return
+    if (screen && screen.type === type && screen.venue === venue) {
+        console.log(`Already in ${label} (${venue}) context.`);
         return;
     }
 
-    console.log("Opening Arena interface...");
-    window.location.href = window.createLink(
-        window.SCREEN_MODES.ARENA,
-        window.ARENA_SUBMODES.PROVINCIARUM,
-        { aType: window.PROVINCIARUM_TYPES.ARENA }
-    );
-};
+    console.log(`Opening ${label} (${venue}) interface...`);
+    window.location.href = window.getArenaVenueLink(type, venue);
+}
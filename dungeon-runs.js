@@ -0,0 +1,144 @@
+/**
+ * dungeon-runs.js
+ *
+ * Tracks dungeon runs: a run opens when the START_DUNGEON CTA is clicked and closes on a
+ * boss kill or exitDungeon(). Each run records its fights, wins/losses, gold, XP, loot and
+ * duration for its dungeonLevel and difficulty.
+ */
+
+/**
+ * How many finished runs are kept in storage.
+ */
+window.DUNGEON_RUNS_LIMIT = 100;
+
+/**
+ * Loads the run state { current, runs } from Chrome storage.
+ *
+ * @function loadDungeonRuns
+ * @returns {Promise<{ current: object|null, runs: Array<object> }>}
+ */
+window.loadDungeonRuns = function () {
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_dungeon_runs", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading dungeon runs:", chrome.runtime.lastError);
+                return resolve({ current: null, runs: [] });
+            }
+            const state = stored.gladex_dungeon_runs || {};
+            resolve({
+                current: state.current || null,
+                runs: Array.isArray(state.runs) ? state.runs : []
+            });
+        });
+    });
+};
+
+/**
+ * Persists the run state.
+ *
+ * @param {{ current: object|null, runs: Array<object> }} state
+ * @returns {Promise<void>}
+ */
+function storeDungeonRuns(state) {
+    return new Promise((resolve) => {
+        state.runs = state.runs.slice(-window.DUNGEON_RUNS_LIMIT);
+        chrome.storage.local.set({ gladex_dungeon_runs: state }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing dungeon runs:", chrome.runtime.lastError);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Moves the current run (if any) to the finished runs.
+ *
+ * @param {{ current: object|null, runs: Array<object> }} state
+ * @param {string} reason - "boss", "exit" or "replaced"
+ */
+function finishCurrentRun(state, reason) {
+    if (!state.current) {
+        return;
+    }
+    const run = state.current;
+    run.endedAt = new Date().toISOString();
+    run.durationMs = new Date(run.endedAt) - new Date(run.startedAt);
+    run.endReason = reason;
+    state.runs.push(run);
+    state.current = null;
+    console.log(`Dungeon run closed (${reason}):`, run);
+}
+
+/**
+ * Opens a new run. A run that is still open (e.g. the dungeon ended unnoticed) is closed first.
+ *
+ * @function startDungeonRun
+ * @param {string} difficulty - The label of the clicked start button (e.g. "Normal").
+ * @returns {Promise<void>}
+ */
+window.startDungeonRun = async function (difficulty) {
+    const state = await window.loadDungeonRuns();
+    finishCurrentRun(state, "replaced");
+
+    state.current = {
+        dungeonLevel: window.settings ? window.settings.dungeonLevel : null,
+        difficulty: (difficulty || "").trim().toLowerCase(),
+        startedAt: new Date().toISOString(),
+        fights: 0,
+        wins: 0,
+        losses: 0,
+        goldWon: 0,
+        xpGained: 0,
+        items: []
+    };
+    console.log("Dungeon run started:", state.current);
+    await storeDungeonRuns(state);
+};
+
+/**
+ * Adds a parsed dungeon fight to the current run, closing it if the boss was beaten.
+ *
+ * @function recordDungeonRunFight
+ * @param {object} fight - { state, goldWon, xpGained, items, isBoss }
+ * @returns {Promise<void>}
+ */
+window.recordDungeonRunFight = async function (fight) {
+    const state = await window.loadDungeonRuns();
+    if (!state.current) {
+        console.log("No dungeon run open; fight not added to a run.");
+        return;
+    }
+
+    const run = state.current;
+    run.fights++;
+    if (fight.state === "win") {
+        run.wins++;
+    } else {
+        run.losses++;
+    }
+    run.goldWon += Number(fight.goldWon) || 0;
+    run.xpGained += Number(fight.xpGained) || 0;
+    run.items = run.items.concat(fight.items || []);
+
+    if (fight.isBoss && fight.state === "win") {
+        finishCurrentRun(state, "boss");
+    }
+    await storeDungeonRuns(state);
+};
+
+/**
+ * Closes the current run, e.g. when the dungeon is cancelled.
+ *
+ * @function closeDungeonRun
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+window.closeDungeonRun = async function (reason) {
+    const state = await window.loadDungeonRuns();
+    if (!state.current) {
+        return;
+    }
+    finishCurrentRun(state, reason);
+    await storeDungeonRuns(state);
+};
@@ -0,0 +1,452 @@
+/*************************
+ * fight-history.js
+ *************************/
+/**
+ * fight-history.js
+ *
+ * One fight-history store shared by every combat type (expedition, dungeon, arena, turma).
+ * Each type is kept in its own `gladex_<type>_history` storage entry with the same
+ * { reports, opponents } structure: fights are deduplicated by `reportId`, and each
+ * opponent keeps running aggregates. The win/loss/gold aggregates only count our own attacks;
+ * Arena/Turma reports where we were attacked are counted separately as defences. Arena and Turma opponents are keyed by server, player ID
+ * and name (see getOpponentKey), since Provinciarum mixes players from several servers.
+ * Used by the content scripts and the settings popup, so it must not depend on jQuery or
+ * constants.js.
+ */
+
+/**
+ * Combat types with their own history.
+ */
+window.COMBAT_TYPES = {
+    EXPEDITION: "expedition",
+    DUNGEON: "dungeon",
+    ARENA: "arena",
+    TURMA: "turma",
+};
+
+/**
+ * In-memory histories keyed by combat type, filled by loadFightHistory().
+ */
+window.fightHistory = window.fightHistory || {};
+
+/**
+ * @function createEmptyHistory
+ * @returns {{ reports: object, opponents: object }}
+ */
+window.createEmptyHistory = function () {
+    return { reports: {}, opponents: {}, aggregateVersion: 2 };
+};
+
+/**
+ * @function getHistoryStorageKey
+ * @param {string} type - One of COMBAT_TYPES.
+ * @returns {string} e.g. "gladex_turma_history"
+ */
+window.getHistoryStorageKey = function (type) {
+    return `gladex_${type}_history`;
+};
+
+/**
+ * Builds the history key of an Arena/Turma opponent, e.g. "s36-en|123456|Maximus".
+ *
+ * @function getOpponentKey
+ * @param {string} server          - Server key from getServerInfo(), e.g. "s36-en".
+ * @param {string|null} playerId   - The ?p= ID of the opponent's profile, if known.
+ * @param {string} name            - The opponent's name.
+ * @returns {string}
+ */
+window.getOpponentKey = function (server, playerId, name) {
+    return `${server}|${playerId || ""}|${name}`;
+};
+
+/**
+ * Splits an opponent key back into its parts. Keys without a server (legacy name-only keys,
+ * or expedition/dungeon keys) come back with only a name.
+ *
+ * @function parseOpponentKey
+ * @param {string} key
+ * @returns {{ server: string|null, playerId: string|null, name: string }}
+ */
+window.parseOpponentKey = function (key) {
+    const parts = String(key).split("|");
+    if (parts.length < 3) {
+        return { server: null, playerId: null, name: String(key) };
+    }
+    return { server: parts[0], playerId: parts[1] || null, name: parts.slice(2).join("|") };
+};
+
+/**
+ * Creates an empty aggregate record for one opponent.
+ * @returns {object}
+ */
+function createOpponentRecord() {
+    return {
+        reportIds: [],
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        goldWon: 0,
+        xpGained: 0,
+        hpLost: 0,
+        hpSamples: 0,
+        attackCount: 0,
+        defenceCount: 0,
+        defenceWins: 0,
+        defenceLosses: 0,
+        lastFightAt: null
+    };
+}
+
+/**
+ * Whether a report is a fight we started. Only Arena/Turma reports carry a role; we always
+ * attack monsters.
+ *
+ * @function isAttackReport
+ * @param {object} report
+ * @returns {boolean}
+ */
+window.isAttackReport = function (report) {
+    return report.role !== "defender";
+};
+
+/**
+ * Adds a report to (sign 1) or takes it out of (sign -1) an opponent's aggregates.
+ *
+ * @param {object} record
+ * @param {object} report
+ * @param {number} sign
+ */
+function applyReportToRecord(record, report, sign) {
+    if (!window.isAttackReport(report)) {
+        record.defenceCount = (record.defenceCount || 0) + sign;
+        if (report.state === "win") {
+            record.defenceWins = (record.defenceWins || 0) + sign;
+        } else if (report.state === "loss") {
+            record.defenceLosses = (record.defenceLosses || 0) + sign;
+        }
+        return;
+    }
+
+    record.attackCount += sign;
+    if (report.state === "win") {
+        record.wins += sign;
+        record.goldWon += sign * report.goldWon;
+    } else if (report.state === "loss") {
+        record.losses += sign;
+    } else {
+        record.draws += sign;
+    }
+    record.xpGained += sign * report.xpGained;
+    // HP lost is only known when the attack was tracked (see fight-tracker.js)
+    if (report.hpLost !== null && report.hpLost !== undefined) {
+        record.hpLost = (record.hpLost || 0) + sign * report.hpLost;
+        record.hpSamples = (record.hpSamples || 0) + sign;
+    }
+}
+
+/**
+ * Makes sure a stored history has the expected shape. Reports saved before the unified
+ * store didn't carry their opponent, so it is filled back in from the opponent records.
+ * Histories from before defences were counted separately have their defences moved out of
+ * the attack aggregates.
+ *
+ * @param {object} history
+ * @returns {{ reports: object, opponents: object }}
+ */
+function normalizeHistory(history) {
+    if (!history || typeof history !== "object" || !history.reports || !history.opponents) {
+        return window.createEmptyHistory();
+    }
+    const splitDefences = !(history.aggregateVersion >= 2);
+    Object.entries(history.opponents).forEach(([opponent, record]) => {
+        (record.reportIds || []).forEach((reportId) => {
+            const report = history.reports[reportId];
+            if (report && !report.opponent) {
+                report.opponent = opponent;
+            }
+            if (report && splitDefences && !window.isAttackReport(report)) {
+                applyReportToRecord(record, { ...report, role: "attacker" }, -1);
+                applyReportToRecord(record, report, 1);
+            }
+        });
+    });
+    history.aggregateVersion = 2;
+    return history;
+}
+
+/**
+ * Loads the history of one combat type into window.fightHistory[type].
+ *
+ * @function loadFightHistory
+ * @param {string} type - One of COMBAT_TYPES.
+ * @returns {Promise<object>} Resolves with the history, or an empty { reports: {}, opponents: {} }.
+ */
+window.loadFightHistory = function (type) {
+    const storageKey = window.getHistoryStorageKey(type);
+    return new Promise((resolve) => {
+        chrome.storage.local.get(storageKey, (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error(`Error loading ${type} history:`, chrome.runtime.lastError);
+                return resolve(window.createEmptyHistory());
+            }
+            window.fightHistory[type] = normalizeHistory(stored && stored[storageKey]);
+            resolve(window.fightHistory[type]);
+        });
+    });
+};
+
+/**
+ * Loads the histories of all combat types.
+ *
+ * @function loadAllFightHistory
+ * @returns {Promise<object>} Resolves with window.fightHistory.
+ */
+window.loadAllFightHistory = function () {
+    return Promise.all(Object.values(window.COMBAT_TYPES).map(window.loadFightHistory))
+        .then(() => window.fightHistory);
+};
+
+/**
+ * Persists the in-memory history of one combat type.
+ *
+ * @param {string} type
+ */
+function storeFightHistory(type) {
+    const storageKey = window.getHistoryStorageKey(type);
+    chrome.storage.local.set({ [storageKey]: window.fightHistory[type] }, () => {
+        if (chrome.runtime.lastError) {
+            console.error(`Error storing ${type} history:`, chrome.runtime.lastError);
+        } else {
+            console.log(`${type} history updated successfully in Chrome storage.`);
+        }
+    });
+}
+
+/**
+ * Adds the aggregates of one opponent record into another.
+ *
+ * @param {object} target
+ * @param {object} source
+ */
+function mergeOpponentRecord(target, source) {
+    ["wins", "losses", "draws", "goldWon", "xpGained", "hpLost", "hpSamples", "attackCount",
+        "defenceCount", "defenceWins", "defenceLosses"].forEach((field) => {
+        target[field] = (target[field] || 0) + (source[field] || 0);
+    });
+    (source.reportIds || []).forEach((reportId) => {
+        if (!target.reportIds.includes(reportId)) {
+            target.reportIds.push(reportId);
+        }
+    });
+    if (!target.lastFightAt || (source.lastFightAt && source.lastFightAt > target.lastFightAt)) {
+        target.lastFightAt = source.lastFightAt;
+    }
+}
+
+/**
+ * Moves an opponent's record (and its reports) to a new key, merging into an existing record.
+ *
+ * @param {{ reports: object, opponents: object }} history
+ * @param {string} fromKey
+ * @param {string} toKey
+ */
+function moveOpponent(history, fromKey, toKey) {
+    const source = history.opponents[fromKey];
+    if (!history.opponents[toKey]) {
+        history.opponents[toKey] = createOpponentRecord();
+    }
+    mergeOpponentRecord(history.opponents[toKey], source);
+    (source.reportIds || []).forEach((reportId) => {
+        if (history.reports[reportId]) {
+            history.reports[reportId].opponent = toKey;
+        }
+    });
+    delete history.opponents[fromKey];
+}
+
+/**
+ * One-time migration of Arena/Turma histories keyed by name only: every name-only opponent
+ * is re-keyed to the given server with an unknown player ID, to be adopted by the full key
+ * the first time that opponent is seen again (see adoptLegacyOpponent).
+ *
+ * @function migrateOpponentKeys
+ * @param {string} type      - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {string} serverKey - The server the old history is assumed to come from.
+ * @returns {boolean} Whether anything was migrated.
+ */
+window.migrateOpponentKeys = function (type, serverKey) {
+    const history = window.fightHistory[type];
+    if (!history || history.keyVersion >= 2) {
+        return false;
+    }
+
+    Object.keys(history.opponents).forEach((opponent) => {
+        if (window.parseOpponentKey(opponent).server === null) {
+            moveOpponent(history, opponent, window.getOpponentKey(serverKey, null, opponent));
+        }
+    });
+    history.keyVersion = 2;
+    console.log(`Migrated ${type} history to server-aware opponent keys.`);
+    storeFightHistory(type);
+    return true;
+};
+
+/**
+ * Merges the record of a migrated opponent without player ID ("server||name") into the
+ * full key once the player ID is known.
+ *
+ * @function adoptLegacyOpponent
+ * @param {string} type - One of COMBAT_TYPES.
+ * @param {string} key  - The full opponent key.
+ * @returns {boolean} Whether a legacy record was adopted.
+ */
+window.adoptLegacyOpponent = function (type, key) {
+    const history = window.fightHistory[type];
+    const { server, playerId, name } = window.parseOpponentKey(key);
+    if (!history || !server || !playerId) {
+        return false;
+    }
+    const legacyKey = window.getOpponentKey(server, null, name);
+    if (!history.opponents[legacyKey]) {
+        return false;
+    }
+
+    moveOpponent(history, legacyKey, key);
+    console.log(`Adopted the history of ${name} under ${key}.`);
+    storeFightHistory(type);
+    return true;
+};
+
+/**
+ * Records a fight, keyed by its unique `reportId`. Re-parsing the same report is a no-op
+ * for the aggregates, so reports can be opened repeatedly.
+ *
+ * @function updateFightHistory
+ * @param {string} type      - One of COMBAT_TYPES.
+ * @param {string} reportId  - The unique report ID from the URL.
+ * @param {string} opponent  - Opponent key (see getOpponentKey), or monster / location key.
+ * @param {object} fightData - { state, goldWon, xpGained, hpLost, timestamp, role, ... }; extra fields
+ *                             are kept. hpLost may be null when it wasn't measured; a "defender" role
+ *                             counts the fight as a defence.
+ */
+window.updateFightHistory = function (type, reportId, opponent, fightData) {
+    if (!Object.values(window.COMBAT_TYPES).includes(type)) {
+        console.log("Unknown combat type for updateFightHistory:", type);
+        return;
+    }
+    if (!window.fightHistory[type]) {
+        console.log(`Initializing ${type} history with new structure.`);
+        window.fightHistory[type] = window.createEmptyHistory();
+    }
+    const history = window.fightHistory[type];
+    window.adoptLegacyOpponent(type, opponent);
+
+    const alreadyExists = !!history.reports[reportId];
+    if (alreadyExists) {
+        console.log(`${type} report ID ${reportId} already in storage; skipping re-save of identical data.`);
+        return;
+    }
+
+    const report = {
+        ...fightData,
+        opponent,
+        state: fightData.state,
+        goldWon: Number(fightData.goldWon) || 0,
+        xpGained: Number(fightData.xpGained) || 0,
+        hpLost: typeof fightData.hpLost === "number" ? fightData.hpLost : null,
+        timestamp: fightData.timestamp || new Date().toISOString()
+    };
+    history.reports[reportId] = report;
+
+    if (!history.opponents[opponent]) {
+        history.opponents[opponent] = createOpponentRecord();
+    }
+    const oppRecord = history.opponents[opponent];
+    if (!oppRecord.reportIds.includes(reportId)) {
+        oppRecord.reportIds.push(reportId);
+    }
+
+    applyReportToRecord(oppRecord, report, 1);
+    oppRecord.lastFightAt = report.timestamp;
+
+    console.log(`Stored new ${type} fight data under reportId=${reportId}.`);
+    storeFightHistory(type);
+};
+
+/**
+ * Returns the aggregates of every opponent of a combat type (from the loaded history).
+ *
+ * @function getOpponentRecords
+ * @param {string} type
+ * @returns {Object<string, object>}
+ */
+window.getOpponentRecords = function (type) {
+    const history = window.fightHistory[type];
+    return history ? history.opponents : {};
+};
+
+/**
+ * Returns the aggregate record of one opponent, or null if we never fought them.
+ *
+ * @function getOpponentRecord
+ * @param {string} type
+ * @param {string} opponent
+ * @returns {object|null}
+ */
+window.getOpponentRecord = function (type, opponent) {
+    return window.getOpponentRecords(type)[opponent] || null;
+};
+
+/**
+ * Derives per-fight averages from an opponent's aggregate record.
+ *
+ * @function getRecordAverages
+ * @param {object|null} record - An aggregate from getOpponentRecord().
+ * @returns {{ winRate: number, goldPerWin: number, goldPerFight: number, xpPerFight: number, hpLostPerFight: number|null }}
+ */
+window.getRecordAverages = function (record) {
+    const fights = record ? record.attackCount || 0 : 0;
+    if (!fights) {
+        return { winRate: 0, goldPerWin: 0, goldPerFight: 0, xpPerFight: 0, hpLostPerFight: null };
+    }
+    return {
+        winRate: record.wins / fights,
+        goldPerWin: record.wins > 0 ? record.goldWon / record.wins : 0,
+        goldPerFight: record.goldWon / fights,
+        xpPerFight: record.xpGained / fights,
+        hpLostPerFight: record.hpSamples ? record.hpLost / record.hpSamples : null
+    };
+};
+
+/**
+ * Lists recorded fights matching the given filters, newest first.
+ *
+ * @function queryFightHistory
+ * @param {object}             [query]
+ * @param {string}             [query.type]     - Limit to one combat type (default: all loaded types).
+ * @param {string}             [query.opponent] - Limit to one opponent.
+ * @param {string}             [query.role]     - Limit to "attacker" (our attacks) or "defender" reports.
+ * @param {Date|string|number} [query.from]     - Only fights at or after this time.
+ * @param {Date|string|number} [query.to]       - Only fights at or before this time.
+ * @returns {Array<object>} Reports with their `type` and `reportId` added.
+ */
+window.queryFightHistory = function (query = {}) {
+    const types = query.type ? [query.type] : Object.keys(window.fightHistory);
+    const from = query.from !== undefined ? new Date(query.from).getTime() : -Infinity;
+    const to = query.to !== undefined ? new Date(query.to).getTime() : Infinity;
+
+    const results = [];
+    types.forEach((type) => {
+        const history = window.fightHistory[type];
+        if (!history) return;
+        Object.entries(history.reports).forEach(([reportId, report]) => {
+            if (query.opponent !== undefined && report.opponent !== query.opponent) return;
+            if (query.role !== undefined && window.isAttackReport(report) !== (query.role === "attacker")) return;
+            const time = new Date(report.timestamp).getTime();
+            if (time < from || time > to) return;
+            results.push({ ...report, type, reportId });
+        });
+    });
+
+    return results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+};
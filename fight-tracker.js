@@ -0,0 +1,99 @@
+/**
+ * fight-tracker.js
+ *
+ * Remembers what we were about to fight (combat type, target, current HP) right before an
+ * attack is clicked, so the report screen that follows can work out the HP lost and attach
+ * context the report itself doesn't show.
+ */
+
+/**
+ * Pending fights older than this are ignored by the report screen (ms).
+ */
+window.PENDING_FIGHT_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Stores the pending fight before an attack click.
+ *
+ * @function markFightStart
+ * @param {string} type    - One of COMBAT_TYPES.
+ * @param {object} [details] - Extra context, e.g. { opponent, location }.
+ */
+window.markFightStart = function (type, details = {}) {
+    const { current, max } = window.getHealthPoints();
+    const pendingFight = {
+        ...details,
+        type,
+        hpBefore: current,
+        maxHp: max,
+        timestamp: Date.now()
+    };
+    chrome.storage.local.set({ gladex_pending_fight: pendingFight }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error storing pending fight:", chrome.runtime.lastError);
+        } else {
+            console.log("Pending fight stored:", pendingFight);
+        }
+    });
+};
+
+/**
+ * Returns the pending fight of the given type (if recent enough) and clears it, so each
+ * fight's HP is only attributed to one report.
+ *
+ * @function consumePendingFight
+ * @param {string} type - One of COMBAT_TYPES.
+ * @returns {Promise<object|null>}
+ */
+window.consumePendingFight = function (type) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_pending_fight", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading pending fight:", chrome.runtime.lastError);
+                return resolve(null);
+            }
+            const pendingFight = stored.gladex_pending_fight;
+            if (!pendingFight || pendingFight.type !== type) {
+                return resolve(null);
+            }
+            chrome.storage.local.remove("gladex_pending_fight");
+            if (Date.now() - pendingFight.timestamp > window.PENDING_FIGHT_MAX_AGE_MS) {
+                console.log("Pending fight is too old; ignoring it.");
+                return resolve(null);
+            }
+            resolve(pendingFight);
+        });
+    });
+};
+
+/**
+ * Completes an Arena/Turma opponent key from the pending fight: reports without a profile
+ * link only give the name, while the attack row we clicked also had the player ID.
+ *
+ * @function resolvePendingOpponent
+ * @param {object|null} pendingFight - From consumePendingFight(COMBAT_TYPES.ARENA/TURMA).
+ * @param {string} opponent          - The opponent key parsed from the report.
+ * @returns {string} The completed key, or the given one.
+ */
+window.resolvePendingOpponent = function (pendingFight, opponent) {
+    if (!pendingFight || !pendingFight.opponent) {
+        return opponent;
+    }
+    const parsed = window.parseOpponentKey(opponent);
+    const pending = window.parseOpponentKey(pendingFight.opponent);
+    return !parsed.playerId && pending.name === parsed.name ? pendingFight.opponent : opponent;
+};
+
+/**
+ * HP lost since the pending fight started, based on the header HP bar of the report page.
+ *
+ * @function getHpLostSince
+ * @param {object|null} pendingFight
+ * @returns {number|null} HP lost (never negative), or null if unknown.
+ */
+window.getHpLostSince = function (pendingFight) {
+    if (!pendingFight || typeof pendingFight.hpBefore !== "number") {
+        return null;
+    }
+    const { current } = window.getHealthPoints();
+    return Math.max(0, pendingFight.hpBefore - current);
+};
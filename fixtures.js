@@ -0,0 +1,98 @@
+/**
+ * fixtures.js
+ *
+ * Captures sanitized HTML snapshots of game screens ("fixtures"), so parsers and handlers
+ * can be checked offline against the exact markup the game served. Enabled with the
+ * captureFixtures setting; snapshots are downloaded from the settings popup and can be
+ * dropped into test/fixtures for the Node tests. Whole pages are large, so only the most
+ * recent FIXTURE_LIMIT screens are kept, and oversized pages are not stored at all.
+ */
+
+/**
+ * Most snapshots kept in chrome.storage.local; the oldest capture is dropped first.
+ */
+window.FIXTURE_LIMIT = 15;
+
+/**
+ * Largest snapshot stored (characters of sanitized HTML).
+ */
+window.FIXTURE_MAX_SIZE = 300 * 1024;
+
+/**
+ * Builds a stable fixture name from the current URL, e.g. "reports-t3" or "arena-serverArena-aType2".
+ *
+ * @function getFixtureName
+ * @returns {string}
+ */
+window.getFixtureName = function () {
+    const params = new URLSearchParams(window.location.search);
+    const parts = [params.get("mod") || "index"];
+    ["submod", "sub", "aType", "t", "loc"].forEach((key) => {
+        const value = params.get(key);
+        if (value !== null && value !== "") {
+            parts.push(key === "submod" ? value : `${key}${value}`);
+        }
+    });
+    return parts.join("-").replace(/[^a-zA-Z0-9_-]/g, "_");
+};
+
+/**
+ * Returns a copy of the page HTML with scripts removed and the session hash (sh=...) masked,
+ * so fixtures can be shared without leaking a login.
+ *
+ * @function getSanitizedPageHTML
+ * @returns {string}
+ */
+window.getSanitizedPageHTML = function () {
+    const clone = document.documentElement.cloneNode(true);
+    clone.querySelectorAll("script, noscript, iframe").forEach((node) => node.remove());
+    // Our own injected elements are not part of the game markup
+    clone.querySelectorAll(".expedition-selector, .expedition-stats").forEach((node) => node.remove());
+    clone.querySelectorAll(".expedition-suggested").forEach((node) => node.classList.remove("expedition-suggested"));
+    clone.querySelectorAll(".auction-alert").forEach((node) => node.classList.remove("auction-alert"));
+
+    return `<!DOCTYPE html>\n${clone.outerHTML}`.replace(/([?&]sh=)[0-9a-f]+/gi, "$1FIXTURE");
+};
+
+/**
+ * Stores a snapshot of the current screen under its fixture name (replacing an older one),
+ * keeping at most FIXTURE_LIMIT snapshots.
+ *
+ * @function captureFixture
+ * @returns {Promise<string|null>} The fixture name, or null if it could not be stored.
+ */
+window.captureFixture = function () {
+    const name = window.getFixtureName();
+    const fixture = {
+        html: window.getSanitizedPageHTML(),
+        url: window.location.href.replace(/([?&]sh=)[0-9a-f]+/gi, "$1FIXTURE"),
+        capturedAt: new Date().toISOString()
+    };
+    if (fixture.html.length > window.FIXTURE_MAX_SIZE) {
+        console.log(`Not capturing fixture "${name}": ${fixture.html.length} characters is over the limit.`);
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_fixtures", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading fixtures:", chrome.runtime.lastError);
+                return resolve(null);
+            }
+            const fixtures = stored.gladex_fixtures || {};
+            fixtures[name] = fixture;
+            Object.keys(fixtures)
+                .sort((a, b) => fixtures[b].capturedAt.localeCompare(fixtures[a].capturedAt))
+                .slice(window.FIXTURE_LIMIT)
+                .forEach((oldName) => delete fixtures[oldName]);
+            chrome.storage.local.set({ gladex_fixtures: fixtures }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing fixture:", chrome.runtime.lastError);
+                    return resolve(null);
+                }
+                console.log(`Captured fixture "${name}".`);
+                resolve(name);
+            });
+        });
+    });
+};
@@ -0,0 +1,319 @@
+/**
+ * food-restock.js
+ *
+ * Buys food in the General store (?mod=inventory&sub=STORES.GENERAL) once useOptimalFood finds
+ * none left. The store's food is ranked by HP healed per gold and bought (dragged into free
+ * inventory cells) until settings.foodBudget is spent, the inventory is full, or buying more would
+ * leave less than settings.reserveGold.
+ */
+
+/**
+ * Inventory grid size (cells) of one inventory tab.
+ */
+window.INVENTORY_COLUMNS = 8;
+window.INVENTORY_ROWS = 5;
+
+/**
+ * Minimum time between two restocking attempts, so an empty purse doesn't loop (ms).
+ */
+window.FOOD_RESTOCK_RETRY_MS = 30 * 60 * 1000;
+
+/**
+ * Restocking state for this server: { pending, lastAttempt }.
+ */
+window.foodRestock = { pending: false, lastAttempt: 0 };
+
+/**
+ * Loads the restocking state for this server into window.foodRestock.
+ *
+ * @function loadFoodRestock
+ * @returns {Promise<object>}
+ */
+window.loadFoodRestock = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_food_restock", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading food restock state:", chrome.runtime.lastError);
+                return resolve(window.foodRestock);
+            }
+            window.foodRestock = (stored.gladex_food_restock || {})[key] || { pending: false, lastAttempt: 0 };
+            resolve(window.foodRestock);
+        });
+    });
+};
+
+/**
+ * Stores window.foodRestock for this server.
+ *
+ * @returns {Promise<void>}
+ */
+function storeFoodRestock() {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_food_restock", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading food restock state:", chrome.runtime.lastError);
+                return resolve();
+            }
+            const allStates = stored.gladex_food_restock || {};
+            allStates[key] = window.foodRestock;
+            chrome.storage.local.set({ gladex_food_restock: allStates }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing food restock state:", chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Asks for a trip to the General store (no-op unless settings.autoBuyFood).
+ *
+ * @function requestFoodRestock
+ * @returns {Promise<void>}
+ */
+window.requestFoodRestock = function () {
+    if (!window.settings.autoBuyFood || window.foodRestock.pending) {
+        return Promise.resolve();
+    }
+    console.log("Out of food; restocking in the General store.");
+    window.foodRestock.pending = true;
+    return storeFoodRestock();
+};
+
+/**
+ * Whether the scheduler should go shopping for food now.
+ *
+ * @function isFoodRestockDue
+ * @returns {boolean}
+ */
+window.isFoodRestockDue = function () {
+    return Boolean(
+        window.settings.autoBuyFood &&
+        window.foodRestock.pending &&
+        Date.now() - (window.foodRestock.lastAttempt || 0) >= window.FOOD_RESTOCK_RETRY_MS
+    );
+};
+
+/**
+ * Navigates to the General store.
+ *
+ * @function openGeneralStore
+ */
+window.openGeneralStore = function () {
+    const query = new URLSearchParams(window.location.search);
+    if (query.get("mod") === window.SCREEN_MODES.INVENTORY && query.get("sub") === String(window.STORES.GENERAL)) {
+        return;
+    }
+    window.location.href = window.createLink(window.SCREEN_MODES.INVENTORY, null, { sub: window.STORES.GENERAL, subsub: 0 });
+};
+
+/**
+ * Whether the current page is the General store.
+ *
+ * @function isGeneralStoreScreen
+ * @returns {boolean}
+ */
+window.isGeneralStoreScreen = function () {
+    return new URLSearchParams(window.location.search).get("sub") === String(window.STORES.GENERAL);
+};
+
+/**
+ * Reads our gold from the page header.
+ *
+ * @function getCurrentGold
+ * @returns {number}
+ */
+window.getCurrentGold = function () {
+    const text = $("#sstat_gold_val").text().replace(/\./g, "");
+    return parseInt(text, 10) || 0;
+};
+
+/**
+ * Lists the food offered in the store with its price and healing, best HP per gold first.
+ *
+ * @function getStoreFoodOffers
+ * @returns {Array<{ element: JQuery, healing: number, price: number, width: number, height: number }>}
+ */
+window.getStoreFoodOffers = function () {
+    const offers = [];
+    $('#shop div[data-content-type="64"]').each((_, el) => {
+        const $el = $(el);
+        const healing = window.extractHealingValue($el.attr("data-tooltip") || "");
+        const price = parseInt($el.attr("data-price-gold"), 10);
+        if (healing === null || !price) return;
+        offers.push({
+            element: $el,
+            healing,
+            price,
+            width: parseInt($el.attr("data-measurement-x"), 10) || 1,
+            height: parseInt($el.attr("data-measurement-y"), 10) || 1
+        });
+    });
+    return offers.sort((a, b) => b.healing / b.price - a.healing / a.price);
+};
+
+/**
+ * Marks which cells of the visible inventory tab are taken.
+ *
+ * @returns {Array<Array<boolean>>} occupied[row][column]
+ */
+function getOccupiedCells() {
+    const occupied = Array.from({ length: window.INVENTORY_ROWS }, () => Array(window.INVENTORY_COLUMNS).fill(false));
+    $("#inv .ui-draggable").each((_, el) => {
+        const $el = $(el);
+        const x = (parseInt($el.attr("data-position-x"), 10) || 1) - 1;
+        const y = (parseInt($el.attr("data-position-y"), 10) || 1) - 1;
+        const width = parseInt($el.attr("data-measurement-x"), 10) || 1;
+        const height = parseInt($el.attr("data-measurement-y"), 10) || 1;
+        for (let row = y; row < Math.min(y + height, window.INVENTORY_ROWS); row++) {
+            for (let column = x; column < Math.min(x + width, window.INVENTORY_COLUMNS); column++) {
+                occupied[row][column] = true;
+            }
+        }
+    });
+    return occupied;
+}
+
+/**
+ * Finds the first free spot for an item of the given size.
+ *
+ * @param {Array<Array<boolean>>} occupied - From getOccupiedCells(); updated when a spot is found.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ column: number, row: number }|null}
+ */
+function reserveFreeCell(occupied, width, height) {
+    for (let row = 0; row + height <= window.INVENTORY_ROWS; row++) {
+        for (let column = 0; column + width <= window.INVENTORY_COLUMNS; column++) {
+            let free = true;
+            for (let r = row; r < row + height && free; r++) {
+                for (let c = column; c < column + width && free; c++) {
+                    free = !occupied[r][c];
+                }
+            }
+            if (!free) continue;
+            for (let r = row; r < row + height; r++) {
+                for (let c = column; c < column + width; c++) {
+                    occupied[r][c] = true;
+                }
+            }
+            return { column, row };
+        }
+    }
+    return null;
+}
+
+/**
+ * Frees a spot taken by reserveFreeCell(), e.g. when the purchase did not go through.
+ *
+ * @param {Array<Array<boolean>>} occupied
+ * @param {{ column: number, row: number }} cell
+ * @param {number} width
+ * @param {number} height
+ */
+function releaseCell(occupied, cell, width, height) {
+    for (let r = cell.row; r < cell.row + height; r++) {
+        for (let c = cell.column; c < cell.column + width; c++) {
+            occupied[r][c] = false;
+        }
+    }
+}
+
+/**
+ * Waits until our gold drops below `previous` (the purchase went through), or the timeout passes.
+ *
+ * @param {number} previous
+ * @returns {Promise<number>} The gold shown afterwards.
+ */
+async function waitForGoldChange(previous) {
+    const deadline = Date.now() + window.INVENTORY_TAB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const gold = window.getCurrentGold();
+        if (gold < previous) {
+            return gold;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    return window.getCurrentGold();
+}
+
+/**
+ * Buys the best HP-per-gold food in the General store within settings.foodBudget and
+ * settings.reserveGold, into the free cells of every inventory tab, then heads home to eat.
+ *
+ * @function restockFood
+ * @returns {Promise<number>} The number of food items bought.
+ */
+window.restockFood = async function () {
+    window.foodRestock.lastAttempt = Date.now();
+    await storeFoodRestock();
+
+    const $grid = $("#inv");
+    if (!$grid.length) {
+        console.log("#inv not found; cannot buy food.");
+        return 0;
+    }
+
+    const startGold = window.getCurrentGold();
+    const spendable = startGold - (Number(window.settings.reserveGold) || 0);
+    const budget = Number(window.settings.foodBudget) > 0 ? Math.min(spendable, Number(window.settings.foodBudget)) : spendable;
+    if (budget <= 0) {
+        console.log(`Not buying food: ${startGold} gold leaves nothing above the ${window.settings.reserveGold} gold reserve.`);
+        return 0;
+    }
+
+    const offers = window.getStoreFoodOffers();
+    if (!offers.length) {
+        console.log("The General store has no food on offer.");
+        return 0;
+    }
+
+    let spent = 0;
+    let bought = 0;
+    const tabCount = Math.max(1, $("#inventory_nav a").length);
+    for (let tab = 1; tab <= tabCount && offers.length; tab++) {
+        if ($("#inventory_nav a").length && !(await window.switchToInventoryTab(tab))) {
+            continue;
+        }
+        const occupied = getOccupiedCells();
+
+        for (let i = 0; i < offers.length; i++) {
+            const offer = offers[i];
+            if (spent + offer.price > budget) continue;
+            const cell = reserveFreeCell(occupied, offer.width, offer.height);
+            if (!cell) continue;
+
+            const rect = $grid[0].getBoundingClientRect();
+            const cellWidth = rect.width / window.INVENTORY_COLUMNS;
+            const cellHeight = rect.height / window.INVENTORY_ROWS;
+            const before = window.getCurrentGold();
+            window.simulateDragAndDrop(offer.element, $grid, {
+                x: rect.x + (cell.column + offer.width / 2) * cellWidth,
+                y: rect.y + (cell.row + offer.height / 2) * cellHeight
+            });
+            const after = await waitForGoldChange(before);
+            if (after >= before) {
+                console.log(`Buying food (healing: ${offer.healing}) for ${offer.price} gold did not go through.`);
+                releaseCell(occupied, cell, offer.width, offer.height);
+                continue;
+            }
+
+            spent += before - after;
+            bought++;
+            console.log(`Bought food (healing: ${offer.healing}) for ${before - after} gold into tab ${tab}.`);
+            offers.splice(i, 1);
+            i--;
+        }
+    }
+
+    console.log(`Food restock: bought ${bought} item(s) for ${spent} gold.`);
+    if (bought) {
+        window.foodRestock.pending = false;
+        await storeFoodRestock();
+        window.openProfile();
+    }
+    return bought;
+};
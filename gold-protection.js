@@ -0,0 +1,278 @@
+/**
+ * gold-protection.js
+ *
+ * Keeps the gold in our purse below settings.goldProtectThreshold, so Arena/Turma attackers
+ * have less to raid. Gold is spent through the sink picked in settings.goldSink: a guild bank
+ * donation of the gold above the threshold, training a stat, or buying out a chosen item at the
+ * auction house; settings.reserveGold is never spent. Each spend navigates away, so it is only
+ * counted once the next page shows our gold went down. The protected gold is logged per day in
+ * `gladex_gold_protection`.
+ */
+
+/**
+ * Time to wait before trying again when a sink could not take any gold (ms).
+ */
+window.GOLD_PROTECT_RETRY_MS = 10 * 60 * 1000;
+
+/**
+ * Gold protection state for this server: { lastFailure, days: { "YYYY-MM-DD": gold }, pendingSpend },
+ * pendingSpend being { amount, goldBefore, sink } for a spend not verified yet.
+ */
+window.goldProtection = { lastFailure: 0, days: {}, pendingSpend: null };
+
+/**
+ * Loads the gold protection state for this server into window.goldProtection.
+ *
+ * @function loadGoldProtection
+ * @returns {Promise<object>}
+ */
+window.loadGoldProtection = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_gold_protection", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading gold protection:", chrome.runtime.lastError);
+                return resolve(window.goldProtection);
+            }
+            window.goldProtection = (stored.gladex_gold_protection || {})[key] || { lastFailure: 0, days: {}, pendingSpend: null };
+            resolve(window.goldProtection);
+        });
+    });
+};
+
+/**
+ * Stores window.goldProtection for this server.
+ *
+ * @returns {Promise<void>}
+ */
+function storeGoldProtection() {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_gold_protection", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading gold protection:", chrome.runtime.lastError);
+                return resolve();
+            }
+            const allStates = stored.gladex_gold_protection || {};
+            allStates[key] = window.goldProtection;
+            chrome.storage.local.set({ gladex_gold_protection: allStates }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing gold protection:", chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Adds spent gold to today's protected total.
+ *
+ * @param {number} amount
+ * @param {string} sink - One of GOLD_SINKS.
+ * @returns {Promise<void>}
+ */
+function recordProtectedGold(amount, sink) {
+    const day = new Date().toISOString().slice(0, 10);
+    window.goldProtection.days[day] = (window.goldProtection.days[day] || 0) + amount;
+    console.log(`Protected ${amount} gold via ${sink} (${window.goldProtection.days[day]} today).`);
+    return storeGoldProtection();
+}
+
+/**
+ * Remembers a spend right before the click that submits it, so the next page can verify it.
+ *
+ * @param {number} amount
+ * @returns {Promise<void>}
+ */
+function recordPendingSpend(amount) {
+    window.goldProtection.pendingSpend = { amount, goldBefore: window.getCurrentGold(), sink: window.settings.goldSink };
+    return storeGoldProtection();
+}
+
+/**
+ * Remembers that the sink could not take any gold, so it is not retried right away.
+ *
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+function recordSinkFailure(reason) {
+    console.log(`Gold protection: ${reason}`);
+    window.goldProtection.lastFailure = Date.now();
+    return storeGoldProtection();
+}
+
+/**
+ * Checks the spend started on the previous page against the gold shown now: it is counted as
+ * protected if our gold went down, otherwise the sink is treated as failing.
+ *
+ * @function verifyPendingGoldSpend
+ * @returns {Promise<void>}
+ */
+window.verifyPendingGoldSpend = async function () {
+    const pending = window.goldProtection.pendingSpend;
+    if (!pending || !$("#sstat_gold_val").length) {
+        return;
+    }
+    window.goldProtection.pendingSpend = null;
+    const spent = pending.goldBefore - window.getCurrentGold();
+    if (spent > 0) {
+        await recordProtectedGold(Math.min(spent, pending.amount), pending.sink);
+    } else {
+        await recordSinkFailure(`spending ${pending.amount} gold via ${pending.sink} did not go through.`);
+    }
+};
+
+/**
+ * Gold that may be spent right now: everything above settings.reserveGold.
+ *
+ * @function getSpendableGold
+ * @returns {number}
+ */
+window.getSpendableGold = function () {
+    return Math.max(0, window.getCurrentGold() - (Number(window.settings.reserveGold) || 0));
+};
+
+/**
+ * Whether our gold is above the threshold and the sink was not failing just now.
+ *
+ * @function isGoldProtectionDue
+ * @returns {boolean}
+ */
+window.isGoldProtectionDue = function () {
+    return Boolean(
+        window.settings.protectGold &&
+        window.getCurrentGold() > (Number(window.settings.goldProtectThreshold) || 0) &&
+        Date.now() - (window.goldProtection.lastFailure || 0) >= window.GOLD_PROTECT_RETRY_MS
+    );
+};
+
+/**
+ * Navigates to the page of the configured gold sink.
+ *
+ * @function openGoldSink
+ */
+window.openGoldSink = function () {
+    const sinkModes = {
+        [window.GOLD_SINKS.GUILD_BANK]: window.SCREEN_MODES.GUILD_BANK,
+        [window.GOLD_SINKS.TRAINING]: window.SCREEN_MODES.TRAINING,
+        [window.GOLD_SINKS.AUCTION]: window.SCREEN_MODES.AUCTION,
+    };
+    if (new URLSearchParams(window.location.search).get("mod") === sinkModes[window.settings.goldSink]) {
+        return;
+    }
+
+    switch (window.settings.goldSink) {
+        case window.GOLD_SINKS.TRAINING:
+            window.location.href = window.createLink(window.SCREEN_MODES.TRAINING, null);
+            break;
+        case window.GOLD_SINKS.AUCTION:
+            window.location.href = window.createLink(window.SCREEN_MODES.AUCTION, null, {
+                qry: encodeURIComponent(window.settings.goldAuctionItem || "")
+            });
+            break;
+        default:
+            window.location.href = window.createLink(window.SCREEN_MODES.GUILD_BANK, null);
+            break;
+    }
+};
+
+/**
+ * Donates the gold above settings.goldProtectThreshold to the guild bank (?mod=guildBankingHouse),
+ * without touching settings.reserveGold.
+ *
+ * @returns {Promise<void>}
+ */
+async function donateToGuildBank() {
+    const $input = $('input[name="donation"]');
+    const $submit = $input.closest("form").find('input[type="submit"], button[type="submit"]').first();
+    if (!$input.length || !$submit.length) {
+        await recordSinkFailure("guild bank donation form not found (no guild?).");
+        return;
+    }
+    const excess = window.getCurrentGold() - (Number(window.settings.goldProtectThreshold) || 0);
+    const amount = Math.min(excess, window.getSpendableGold());
+    if (amount <= 0) {
+        await recordSinkFailure("nothing above the reserve gold to donate.");
+        return;
+    }
+    $input.val(amount);
+    await recordPendingSpend(amount);
+    $submit[0].click();
+}
+
+/**
+ * Trains settings.goldTrainingSkill (?mod=training) if we can afford it.
+ *
+ * @returns {Promise<void>}
+ */
+async function trainSkill() {
+    const $link = $(`a[href*="skillToTrain=${window.settings.goldTrainingSkill}"]`).first();
+    if (!$link.length) {
+        await recordSinkFailure(`no training button for skill ${window.settings.goldTrainingSkill}.`);
+        return;
+    }
+    const costText = $link.parent().find(".training_costs").text().replace(/\./g, "");
+    const cost = parseInt(costText, 10) || 0;
+    if (cost > window.getSpendableGold()) {
+        await recordSinkFailure(`training costs ${cost} gold, more than we may spend.`);
+        return;
+    }
+    await recordPendingSpend(cost);
+    $link[0].click();
+}
+
+/**
+ * Buys out the cheapest auction matching settings.goldAuctionItem that we can afford.
+ *
+ * @returns {Promise<void>}
+ */
+async function buyAuctionItem() {
+    const wanted = String(window.settings.goldAuctionItem || "").trim().toLowerCase();
+    if (!wanted) {
+        await recordSinkFailure("no auction item configured.");
+        return;
+    }
+
+    const spendable = window.getSpendableGold();
+    let best = null;
+    $("#auction_table form").each((_, form) => {
+        const $form = $(form);
+        const tooltip = ($form.find("[data-tooltip]").attr("data-tooltip") || "").toLowerCase();
+        const price = parseInt($form.find('input[name="buyouthd"]').val(), 10) || 0;
+        const $buyout = $form.find('input[name="buyout"]');
+        if (!tooltip.includes(wanted) || !price || price > spendable || !$buyout.length) return;
+        if (!best || price < best.price) {
+            best = { price, $buyout };
+        }
+    });
+
+    if (!best) {
+        await recordSinkFailure(`no affordable "${window.settings.goldAuctionItem}" at the auction house.`);
+        return;
+    }
+    await recordPendingSpend(best.price);
+    best.$buyout[0].click();
+}
+
+/**
+ * Spends gold through the configured sink, if protection is due and we are on its page.
+ *
+ * @function runGoldProtection
+ * @returns {Promise<void>}
+ */
+window.runGoldProtection = async function () {
+    if (!window.isGoldProtectionDue()) {
+        return;
+    }
+
+    const mod = new URLSearchParams(window.location.search).get("mod");
+    const sink = window.settings.goldSink;
+    if (sink === window.GOLD_SINKS.TRAINING && mod === window.SCREEN_MODES.TRAINING) {
+        await trainSkill();
+    } else if (sink === window.GOLD_SINKS.AUCTION && mod === window.SCREEN_MODES.AUCTION) {
+        await buyAuctionItem();
+    } else if (sink === window.GOLD_SINKS.GUILD_BANK && mod === window.SCREEN_MODES.GUILD_BANK) {
+        await donateToGuildBank();
+    }
+};
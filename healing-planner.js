@@ -0,0 +1,64 @@
+/**
+ * healing-planner.js
+ *
+ * Picks which food items to eat to reach a target HP with the least over-heal, as a small
+ * subset-sum knapsack over the healing values of every food item found in the inventory.
+ */
+
+/**
+ * Plans the food to eat to heal at least `needed` HP with the least waste; among plans with
+ * the same waste, the one with fewer items wins. When all food together heals less than
+ * `needed`, everything is eaten.
+ *
+ * @function planHealing
+ * @param {Array<{ healing: number }>} foods - Available food items.
+ * @param {number} needed                    - HP to heal.
+ * @returns {{ items: Array<object>, healing: number, waste: number }}
+ */
+window.planHealing = function (foods, needed) {
+    if (needed <= 0 || !foods.length) {
+        return { items: [], healing: 0, waste: 0 };
+    }
+
+    const total = foods.reduce((sum, food) => sum + food.healing, 0);
+    if (total <= needed) {
+        return { items: foods.slice(), healing: total, waste: 0 };
+    }
+
+    // A minimal plan never exceeds `needed` by a whole item, so larger sums can be dropped
+    const maxHealing = Math.max(...foods.map((food) => food.healing));
+    const cap = needed + maxHealing - 1;
+
+    // Reachable healing sums, each with the smallest set of item indices reaching it
+    const reachable = new Map([[0, []]]);
+    foods.forEach((food, index) => {
+        Array.from(reachable.entries()).forEach(([sum, indices]) => {
+            const newSum = sum + food.healing;
+            if (newSum > cap) return;
+            const known = reachable.get(newSum);
+            if (!known || known.length > indices.length + 1) {
+                reachable.set(newSum, [...indices, index]);
+            }
+        });
+    });
+
+    const bestSum = Math.min(...Array.from(reachable.keys()).filter((sum) => sum >= needed));
+
+    const items = reachable.get(bestSum).map((index) => foods[index]);
+    // Eat the biggest items first; the HP bar is re-checked after each one
+    items.sort((a, b) => b.healing - a.healing);
+    return { items, healing: bestSum, waste: bestSum - needed };
+};
+
+/**
+ * HP still to heal to reach settings.healTargetHP.
+ *
+ * @function getHealingNeeded
+ * @param {{ current: number, max: number }} [hp] - Defaults to the main character's HP bar.
+ * @returns {number}
+ */
+window.getHealingNeeded = function (hp = window.getHealthPoints()) {
+    const { current, max } = hp;
+    const target = Math.min(1, Number(window.settings.healTargetHP) || 1);
+    return Math.max(0, Math.ceil(target * max) - current);
+};
@@ -2,8 +2,29 @@
  * healing.js
  *
  * Functions for checking current HP, switching to main char, and using food items.
+ * Food is looked up in every inventory tab (bags I-VIII), not only the visible one.
  */
 
+/**
+ * How long to wait for an inventory tab to become current after clicking it (ms).
+ */
+window.INVENTORY_TAB_TIMEOUT_MS = 3000;
+
+/**
+ * Extra wait after a tab became current, for its items to be rendered (ms).
+ */
+window.INVENTORY_TAB_SETTLE_MS = 300;
+
+/**
+ * Resolves after the given delay.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 /**
  * Converts a Roman numeral (including Unicode variants) to a standard integer up to 3999.
  * Logs warnings for invalid or empty inputs.
@@ -93,16 +114,13 @@ window.romanToInt = function (roman) {
  */
 window.getCurrentInvTab = function () {
     const $currentTab = $("#inventory_nav").find(".current");
-    console.log($currentTab);
     if (!$currentTab.toArray().length) {
         console.log("Current inventory tab element not found.");
         return 0;
     }
 
     const romanText = $currentTab.text().trim().toUpperCase();
-    const tabNumber = window.romanToInt(romanText);
-    console.log(`Current inventory tab: ${romanText} => ${tabNumber}`);
-    return tabNumber;
+    return window.romanToInt(romanText);
 };
 
 /**
@@ -112,9 +130,7 @@ window.getCurrentInvTab = function () {
 window.getCurrentCharacter = function () {
     const $elements = $(".charmercsel");
     const $activeElement = $(".charmercsel.active");
-    const index = $elements.index($activeElement);
-    console.log(`Current active character index: ${index}`);
-    return index;
+    return $elements.index($activeElement);
 };
 
 /**
@@ -167,6 +183,105 @@ window.switchToFirstInventoryTab = function () {
     }
 };
 
+/**
+ * Switches to an inventory tab and waits until it is current and its items are shown.
+ *
+ * @function switchToInventoryTab
+ * @param {number} tabNumber - 1 for "I", 2 for "II", ...
+ * @returns {Promise<boolean>} Whether the tab is now current.
+ */
+window.switchToInventoryTab = async function (tabNumber) {
+    if (window.getCurrentInvTab() === tabNumber) {
+        return true;
+    }
+
+    const $tabs = $("#inventory_nav a");
+    let $tab = $tabs.filter((_, el) => window.romanToInt($(el).text().trim()) === tabNumber).first();
+    if (!$tab.length) {
+        $tab = $tabs.eq(tabNumber - 1);
+    }
+    if (!$tab.length) {
+        console.log(`Inventory tab ${tabNumber} not found.`);
+        return false;
+    }
+
+    $tab[0].click();
+    const deadline = Date.now() + window.INVENTORY_TAB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (window.getCurrentInvTab() === tabNumber) {
+            await wait(window.INVENTORY_TAB_SETTLE_MS);
+            return true;
+        }
+        await wait(100);
+    }
+    console.log(`Inventory tab ${tabNumber} did not become current in time.`);
+    return false;
+};
+
+/**
+ * Lists the food items shown in the current inventory tab.
+ *
+ * @function getVisibleFoodItems
+ * @param {number} tab - The current tab number, stored on each item.
+ * @returns {Array<{ element: JQuery, healing: number, tab: number, itemId: string|null }>}
+ */
+window.getVisibleFoodItems = function (tab) {
+    const foods = [];
+    $('div[data-content-type="64"]').each((_, el) => {
+        const $el = $(el);
+        const healing = window.extractHealingValue($el.attr("data-tooltip") || "");
+        if (healing !== null) {
+            foods.push({ element: $el, healing, tab, itemId: $el.attr("data-item-id") || null });
+        }
+    });
+    return foods;
+};
+
+/**
+ * Goes through every #inventory_nav tab and collects the food found in each.
+ *
+ * @function scanFoodInventory
+ * @returns {Promise<Array<object>>} Food items (see getVisibleFoodItems) from all tabs.
+ */
+window.scanFoodInventory = async function () {
+    const tabCount = $("#inventory_nav a").length;
+    if (!tabCount) {
+        console.log("#inventory_nav not found; only the visible food can be used.");
+        return window.getVisibleFoodItems(window.getCurrentInvTab());
+    }
+
+    const foods = [];
+    for (let tab = 1; tab <= tabCount; tab++) {
+        if (!(await window.switchToInventoryTab(tab))) {
+            continue;
+        }
+        const tabFoods = window.getVisibleFoodItems(tab);
+        console.log(`Inventory tab ${tab}: ${tabFoods.length} food item(s).`);
+        foods.push(...tabFoods);
+    }
+    return foods;
+};
+
+/**
+ * Switches to the tab of a scanned food item and returns its current element.
+ *
+ * @function locateFoodItem
+ * @param {object} food - A food item from scanFoodInventory().
+ * @returns {Promise<JQuery|null>}
+ */
+window.locateFoodItem = async function (food) {
+    if (!(await window.switchToInventoryTab(food.tab))) {
+        return null;
+    }
+    const $items = $('div[data-content-type="64"]');
+    const $byId = food.itemId ? $items.filter(`[data-item-id="${food.itemId}"]`) : $();
+    // Without an item ID, any item on that tab with the same healing value will do
+    const $item = $byId.length
+        ? $byId.first()
+        : $items.filter((_, el) => window.extractHealingValue($(el).attr("data-tooltip") || "") === food.healing).first();
+    return $item.length ? $item : null;
+};
+
 /**
  * Gets the ratio (current / max HP) from #header_values_hp_bar.
  * @returns {number} Ratio of current HP to max HP (0 if not found).
@@ -178,12 +293,11 @@ window.getCurrentHP = function () {
         return 0;
     }
 
-    const current = parseInt($hpBar.data("value"), 10) || 0;
-    const max = parseInt($hpBar.data("max-value"), 10) || 1; // Avoid division by zero
+    // Read the attributes, not .data(): jQuery caches .data() and the bar changes while eating
+    const current = parseInt($hpBar.attr("data-value"), 10) || 0;
+    const max = parseInt($hpBar.attr("data-max-value"), 10) || 1; // Avoid division by zero
 
-    const ratio = current / max;
-    console.log(`Current HP: ${current}, Max HP: ${max}, Ratio: ${ratio}`);
-    return ratio;
+    return current / max;
 };
 
 /**
@@ -198,10 +312,8 @@ window.getHealthPoints = function () {
         return { current: 0, max: 0 };
     }
 
-    const maxHp = parseInt($hpBar.data("max-value"), 10) || 0;
-    const currentHp = Math.ceil(ratio * maxHp);
-    console.log(`Health Points => Current: ${currentHp}, Max: ${maxHp}`);
-    return { current: currentHp, max: maxHp };
+    const maxHp = parseInt($hpBar.attr("data-max-value"), 10) || 0;
+    return { current: Math.ceil(ratio * maxHp), max: maxHp };
 };
 
 /**
@@ -215,11 +327,9 @@ window.extractHealingValue = function (tooltip) {
         return null;
     }
 
-    const regex = /Using:\s*Heals\s*(\d+)\s*of\s*life/i;
+    const regex = window.getLocaleString("healingRegex");
     const match = tooltip.match(regex);
-    const healing = match ? parseInt(match[1], 10) : null;
-    console.log(`extractHealingValue => ${healing}`);
-    return healing;
+    return match ? parseInt(match[1], 10) : null;
 };
 
 /**
@@ -228,8 +338,10 @@ window.extractHealingValue = function (tooltip) {
  *
  * @param {JQuery} $dragElement - The jQuery-wrapped element to drag.
  * @param {JQuery} $dropTarget - The jQuery-wrapped element to drop onto.
+ * @param {{ x: number, y: number }} [dropPoint] - Client coordinates to drop at (e.g. an inventory
+ *                                                 grid cell); defaults to the target's centre.
  */
-window.simulateDragAndDrop = function ($dragElement, $dropTarget) {
+window.simulateDragAndDrop = function ($dragElement, $dropTarget, dropPoint = null) {
     if (!$dragElement || !$dropTarget) {
         console.log("Invalid drag or drop element for simulateDragAndDrop.");
         return;
@@ -245,6 +357,8 @@ window.simulateDragAndDrop = function ($dragElement, $dropTarget) {
 
     const rectDrag = dragEl.getBoundingClientRect();
     const rectDrop = dropEl.getBoundingClientRect();
+    const dropX = dropPoint ? dropPoint.x : rectDrop.x + rectDrop.width / 2;
+    const dropY = dropPoint ? dropPoint.y : rectDrop.y + rectDrop.height / 2;
 
     // Dispatch a mousedown event on the drag element
     dragEl.dispatchEvent(
@@ -261,8 +375,8 @@ window.simulateDragAndDrop = function ($dragElement, $dropTarget) {
         new MouseEvent("mousemove", {
             bubbles: true,
             cancelable: true,
-            clientX: rectDrop.x + rectDrop.width / 2,
-            clientY: rectDrop.y + rectDrop.height / 2,
+            clientX: dropX,
+            clientY: dropY,
         })
     );
 
@@ -271,8 +385,8 @@ window.simulateDragAndDrop = function ($dragElement, $dropTarget) {
         new MouseEvent("mouseup", {
             bubbles: true,
             cancelable: true,
-            clientX: rectDrop.x + rectDrop.width / 2,
-            clientY: rectDrop.y + rectDrop.height / 2,
+            clientX: dropX,
+            clientY: dropY,
         })
     );
 
@@ -280,71 +394,73 @@ window.simulateDragAndDrop = function ($dragElement, $dropTarget) {
 };
 
 /**
- * Uses the optimal food item to heal (closest to missing HP, else the smallest).
- * Selects from elements with data-content-type="64" (food).
+ * Waits until the HP bar shows more than `previous` HP, or the timeout passes.
+ *
+ * @param {number} previous  - HP before eating.
+ * @param {Function} readHp  - Returns the healed character's { current, max }.
+ * @returns {Promise<number>} The HP shown afterwards.
  */
-window.useOptimalFood = function () {
-    const foodItems = $('div[data-content-type="64"]');
-    if (!foodItems.length) {
-        console.log("No food items found to use for healing.");
-        return;
+async function waitForHpChange(previous, readHp) {
+    const deadline = Date.now() + window.INVENTORY_TAB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const { current } = readHp();
+        if (current > previous) {
+            return current;
+        }
+        await wait(100);
     }
+    return readHp().current;
+}
 
-    const foods = [];
-    foodItems.each((_, el) => {
-        const $el = $(el);
-        const tooltip = $el.attr("data-tooltip") || "";
-        const healing = window.extractHealingValue(tooltip);
-        if (healing !== null) {
-            foods.push({ element: $el, healing });
-        }
-    });
+/**
+ * Heals up to settings.healTargetHP: plans the combination of food items (from every
+ * inventory tab) with the least over-heal, then eats them one by one, re-reading
+ * #header_values_hp_bar after each item and stopping once the target is reached.
+ * The food goes to whichever character is selected (see switchToCharacter).
+ *
+ * @param {Function} [readHp] - Returns the selected character's { current, max };
+ *                              defaults to the main character's HP bar.
+ * @returns {Promise<void>}
+ */
+window.useOptimalFood = async function (readHp = window.getHealthPoints) {
+    if (window.getHealingNeeded(readHp()) <= 0) {
+        console.log("HP is already at the healing target. No need to use food.");
+        return;
+    }
 
+    const foods = await window.scanFoodInventory();
     if (!foods.length) {
-        console.log("No valid food items with healing values found.");
+        console.log("Out of food: no food items with healing values in any inventory tab.");
+        if (typeof window.requestFoodRestock === "function") {
+            await window.requestFoodRestock();
+        }
         return;
     }
 
-    const { current, max } = window.getHealthPoints();
-    const missing = max - current;
-    console.log(`Missing HP: ${missing}`);
+    const plan = window.planHealing(foods, window.getHealingNeeded(readHp()));
+    console.log(`Healing plan: ${plan.items.length} item(s), ${plan.healing} HP, ${plan.waste} HP wasted.`);
 
-    if (missing <= 0) {
-        console.log("HP is already full. No need to use food.");
+    const $dropTarget = $("#avatar .ui-droppable");
+    if (!$dropTarget.length) {
+        console.log("Drop target for food items not found (#avatar .ui-droppable).");
         return;
     }
 
-    let optimalFood = null;
-    let smallestDiff = Infinity;
-
-    // Find food whose healing is closest to (but not exceeding) missing HP
-    foods.forEach((food) => {
-        const diff = missing - food.healing;
-        // We want diff >= 0 (no over-heal) and as small as possible
-        if (diff >= 0 && diff < smallestDiff) {
-            smallestDiff = diff;
-            optimalFood = food;
+    for (const food of plan.items) {
+        if (window.getHealingNeeded(readHp()) <= 0) {
+            console.log("Healing target reached; keeping the remaining planned food.");
+            return;
         }
-    });
 
-    // If all foods exceed missing HP, pick the one with the smallest healing to minimize waste
-    if (!optimalFood) {
-        optimalFood = foods.reduce((acc, cur) => (acc.healing < cur.healing ? acc : cur));
-        console.log("Selected over-healing food due to all items exceeding missing HP.");
-    } else {
-        console.log("Selected optimal food based on missing HP.");
-    }
-
-    if (!optimalFood) {
-        console.log("No suitable food item found to use.");
-        return;
-    }
+        const $foodElement = await window.locateFoodItem(food);
+        if (!$foodElement) {
+            console.log(`Planned food item could not be found again in inventory tab ${food.tab}.`);
+            continue;
+        }
 
-    const $dropTarget = $("#avatar .ui-droppable");
-    if ($dropTarget.length) {
-        window.simulateDragAndDrop(optimalFood.element, $dropTarget);
-        console.log(`Used optimal food item (healing: ${optimalFood.healing}).`);
-    } else {
-        console.log("Drop target for food items not found (#avatar .ui-droppable).");
+        const before = readHp().current;
+        window.simulateDragAndDrop($foodElement, $dropTarget);
+        const after = await waitForHpChange(before, readHp);
+        console.log(`Ate food from tab ${food.tab} (healing: ${food.healing}); HP ${before} => ${after}.`);
     }
 };
@@ -0,0 +1,109 @@
+/**
+ * hp-gate.js
+ *
+ * Pre-fight HP gate: predicts the HP left after a fight from the HP lost in earlier fights
+ * against the same monster, dungeon enemy or Arena/Turma opponent (or the simulator, or the
+ * average over the whole activity) and holds the fight back when the prediction falls below
+ * the activity's floor. The scheduler then heals first (settings.autoHeal) or skips the activity.
+ */
+
+/**
+ * Setting holding each activity's HP floor (fraction of max HP), keyed by COMBAT_TYPES.
+ */
+window.HP_FLOOR_SETTINGS = {
+    [window.COMBAT_TYPES.EXPEDITION]: "hpFloorExpedition",
+    [window.COMBAT_TYPES.DUNGEON]: "hpFloorDungeon",
+    [window.COMBAT_TYPES.ARENA]: "hpFloorArena",
+    [window.COMBAT_TYPES.TURMA]: "hpFloorTurma",
+};
+
+/**
+ * The HP floor of an activity.
+ *
+ * @function getActivityHpFloor
+ * @param {string} type - One of COMBAT_TYPES.
+ * @returns {number} Fraction of max HP.
+ */
+window.getActivityHpFloor = function (type) {
+    return Number(window.settings[window.HP_FLOOR_SETTINGS[type]]) || 0;
+};
+
+/**
+ * Average HP lost per measured fight across every opponent of an activity.
+ *
+ * @param {string} type - One of COMBAT_TYPES.
+ * @returns {number|null} null if no fight of that type had its HP measured.
+ */
+function getActivityHpLoss(type) {
+    let hpLost = 0;
+    let samples = 0;
+    Object.values(window.getOpponentRecords(type)).forEach((record) => {
+        hpLost += record.hpLost || 0;
+        samples += record.hpSamples || 0;
+    });
+    return samples ? hpLost / samples : null;
+}
+
+/**
+ * Expected HP loss of the next fight: the opponent's own history first, then the simulation,
+ * then the activity's average.
+ *
+ * @function getExpectedHpLoss
+ * @param {string} type          - One of COMBAT_TYPES.
+ * @param {string} [opponent]    - The opponent's key in the fight history, if already chosen.
+ * @param {object} [simulation]  - A simulateFights() result for that opponent.
+ * @returns {number|null} HP, or null if nothing is known yet.
+ */
+window.getExpectedHpLoss = function (type, opponent = null, simulation = null) {
+    if (opponent) {
+        const { hpLostPerFight } = window.getRecordAverages(window.getOpponentRecord(type, opponent));
+        if (hpLostPerFight !== null) {
+            return hpLostPerFight;
+        }
+    }
+    if (simulation) {
+        return simulation.expectedHpLost;
+    }
+    return getActivityHpLoss(type);
+};
+
+/**
+ * Whether our HP after the fight is predicted to stay at or above the activity's floor.
+ * Without any HP history the current HP itself has to be above the floor.
+ *
+ * @function isFightHpSafe
+ * @param {string} type          - One of COMBAT_TYPES.
+ * @param {string} [opponent]    - The opponent's key in the fight history, if already chosen.
+ * @param {object} [simulation]  - A simulateFights() result for that opponent.
+ * @param {{ current: number, max: number }} [hp] - The HP to fight with; defaults to the HP bar.
+ * @returns {boolean}
+ */
+window.isFightHpSafe = function (type, opponent = null, simulation = null, hp = window.getHealthPoints()) {
+    const { current, max } = hp;
+    if (!max) {
+        return true;
+    }
+    const expectedLoss = window.getExpectedHpLoss(type, opponent, simulation) || 0;
+    return (current - expectedLoss) / max >= window.getActivityHpFloor(type);
+};
+
+/**
+ * Whether an enabled fight that is off cooldown is only held back by the HP gate, and healing
+ * to settings.healTargetHP would let it run. Fights that stay unsafe even after healing are
+ * skipped instead, so the heal task doesn't stay ready at full HP.
+ *
+ * @function isHealNeededForFights
+ * @returns {boolean}
+ */
+window.isHealNeededForFights = function () {
+    const hp = window.getHealthPoints();
+    const healed = { current: hp.current + window.getHealingNeeded(hp), max: hp.max };
+    if (healed.current <= hp.current) {
+        return false;
+    }
+    return Object.values(window.COMBAT_TYPES).some((type) => {
+        const task = window.schedulerTasks[type];
+        return Boolean(task && task.isEnabled() && !Number(task.getCooldown()) &&
+            !window.isFightHpSafe(type, null, null, hp) && window.isFightHpSafe(type, null, null, healed));
+    });
+};
@@ -0,0 +1,156 @@
+/**
+ * hp-regen.js
+ *
+ * Learns our natural HP regeneration by sampling #header_values_hp_bar over time, so the
+ * scheduler can let HP regenerate instead of eating whenever the next activity is far enough
+ * away anyway. Samples are kept per server in `gladex_hp_samples`.
+ */
+
+/**
+ * Minimum time between two stored HP samples (ms).
+ */
+window.HP_SAMPLE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Samples older than this are dropped (ms).
+ */
+window.HP_SAMPLE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Two samples further apart than this are not used as a pair (e.g. the browser was closed) (ms).
+ */
+window.HP_SAMPLE_MAX_GAP_MS = 30 * 60 * 1000;
+
+/**
+ * Regeneration time that must be observed before the rate is trusted (ms).
+ */
+window.HP_REGEN_MIN_OBSERVED_MS = 10 * 60 * 1000;
+
+/**
+ * HP samples for this server: { t, hp, max }, oldest first.
+ */
+window.hpSamples = [];
+
+/**
+ * Loads the HP samples for this server into window.hpSamples.
+ *
+ * @function loadHpSamples
+ * @returns {Promise<Array<object>>}
+ */
+window.loadHpSamples = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_hp_samples", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading HP samples:", chrome.runtime.lastError);
+                return resolve([]);
+            }
+            window.hpSamples = (stored.gladex_hp_samples || {})[key] || [];
+            resolve(window.hpSamples);
+        });
+    });
+};
+
+/**
+ * Adds the current HP to the samples (at most once per HP_SAMPLE_INTERVAL_MS) and stores them.
+ *
+ * @function recordHpSample
+ */
+window.recordHpSample = function () {
+    const now = Date.now();
+    const last = window.hpSamples[window.hpSamples.length - 1];
+    if (last && now - last.t < window.HP_SAMPLE_INTERVAL_MS) {
+        return;
+    }
+    const { current, max } = window.getHealthPoints();
+    if (!max) {
+        return;
+    }
+
+    window.hpSamples.push({ t: now, hp: current, max });
+    window.hpSamples = window.hpSamples.filter((sample) => now - sample.t <= window.HP_SAMPLE_MAX_AGE_MS);
+
+    const { key } = window.getServerInfo();
+    chrome.storage.local.get("gladex_hp_samples", (stored) => {
+        if (chrome.runtime.lastError) {
+            console.error("Error loading HP samples:", chrome.runtime.lastError);
+            return;
+        }
+        const allSamples = stored.gladex_hp_samples || {};
+        allSamples[key] = window.hpSamples;
+        chrome.storage.local.set({ gladex_hp_samples: allSamples }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing HP samples:", chrome.runtime.lastError);
+            }
+        });
+    });
+};
+
+/**
+ * Regeneration rate learned from the samples. Only pairs of consecutive samples where HP did
+ * not drop (no fight), was not yet full and max HP did not change are used.
+ *
+ * @function getRegenRatePerHour
+ * @returns {number|null} HP per hour, or null until enough regeneration was observed.
+ */
+window.getRegenRatePerHour = function () {
+    let gained = 0;
+    let observedMs = 0;
+    for (let i = 1; i < window.hpSamples.length; i++) {
+        const previous = window.hpSamples[i - 1];
+        const sample = window.hpSamples[i];
+        const gap = sample.t - previous.t;
+        if (gap <= 0 || gap > window.HP_SAMPLE_MAX_GAP_MS) continue;
+        if (sample.max !== previous.max || sample.hp < previous.hp || sample.hp >= sample.max) continue;
+        gained += sample.hp - previous.hp;
+        observedMs += gap;
+    }
+    if (observedMs < window.HP_REGEN_MIN_OBSERVED_MS || gained <= 0) {
+        return null;
+    }
+    return gained / (observedMs / 3600000);
+};
+
+/**
+ * Seconds of natural regeneration needed to get back to a fraction of max HP.
+ *
+ * @function getTimeToRegenerate
+ * @param {number} targetRatio - e.g. settings.minHP.
+ * @returns {number} Seconds; 0 if already there, Infinity if the rate is unknown.
+ */
+window.getTimeToRegenerate = function (targetRatio) {
+    const { current, max } = window.getHealthPoints();
+    const missing = Math.ceil(targetRatio * max) - current;
+    if (missing <= 0) {
+        return 0;
+    }
+    const rate = window.getRegenRatePerHour();
+    return rate ? Math.ceil((missing / rate) * 3600) : Infinity;
+};
+
+/**
+ * Whether healing can be skipped because regeneration alone reaches settings.minHP before
+ * any other enabled scheduler task comes off cooldown. Tasks off cooldown only count when they
+ * are ready to run; tasks that are just waiting on a condition (e.g. gold protection below
+ * its threshold) don't hold the healing back.
+ *
+ * @function canWaitForRegen
+ * @returns {boolean}
+ */
+window.canWaitForRegen = function () {
+    if (!window.settings.waitForRegen) {
+        return false;
+    }
+
+    let nextActivity = Infinity;
+    Object.values(window.schedulerTasks || {}).forEach((task) => {
+        if (task.id === window.SCHEDULER_TASKS.HEAL || !task.isEnabled()) return;
+        const cooldown = Number(task.getCooldown()) || 0;
+        if (cooldown === 0 && typeof task.isReady === "function" && !task.isReady()) return;
+        nextActivity = Math.min(nextActivity, cooldown);
+    });
+
+    // Without a learned rate we cannot tell, so eat as before
+    const regenSeconds = window.getTimeToRegenerate(window.settings.minHP);
+    return Number.isFinite(regenSeconds) && regenSeconds <= nextActivity;
+};
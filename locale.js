@@ -0,0 +1,130 @@
+/**
+ * locale.js
+ *
+ * Language packs for every game string or regex the extension matches against.
+ * The active language is picked from the server hostname (e.g. "s36-en") or the page's
+ * `lang` attribute. Every pack covers every key of the English pack, and a pack is only added
+ * together with report fixtures from that language's servers that the parsers read correctly.
+ * Languages without a pack (and keys a pack lacks) fall back to English with a console warning,
+ * since English texts will not match the buttons and reports of another language.
+ *
+ * Loaded before constants.js, because CTA_SELECTORS match text at load time.
+ */
+
+/**
+ * One pack per game language, keyed by the code found in the server hostname.
+ */
+window.LOCALE_PACKS = {
+    en: {
+        // Buttons and cooldown bar texts (compared lower-cased)
+        thoroughSearch: "thorough search",
+        enterDungeon: "enter dungeon",
+        cancelDungeon: "cancel dungeon",
+        goToExpedition: "go to expedition",
+        goToDungeon: "go to dungeon",
+        toCircusTurma: "to circus turma",
+        goToArena: "go to the arena",
+        searchOpponents: "search for opponents",
+        boss: "boss",
+
+        // Result screen words
+        resultWin: "win",
+        resultLoss: "loss",
+
+        // Report and tooltip patterns
+        winnerRegex: /^Winner:\s*(.+)$/,
+        goldRegex: /(\d+)\s+Gold/i,
+        xpRegex: /received\s+(\d+)\s+experience point\(s\)/i,
+        fameRegex: /received\s+(\d+)\s+fame/i,
+        raidedRegex: /has raided:\s*(\d+)/i,
+        healingRegex: /Using:\s*Heals\s*(\d+)\s*of\s*life/i,
+
+        // Monster tooltip labels (compared lower-cased, without the colon)
+        statLevel: "level",
+        statStrength: "strength",
+        statDexterity: "dexterity",
+        statAgility: "agility",
+        statConstitution: "constitution",
+        statCharisma: "charisma",
+        statIntelligence: "intelligence",
+        statArmour: "armour",
+        statDamage: "damage",
+        statLife: "life",
+    },
+};
+
+/**
+ * Hostname codes that share another code's pack.
+ */
+window.LOCALE_ALIASES = {
+    us: "en",
+    uk: "en",
+    gb: "en",
+};
+
+/**
+ * Works out the game language: first from the server hostname ("s36-en.gladiatus..."),
+ * then from <html lang="...">, defaulting to English.
+ *
+ * @function detectLocale
+ * @returns {string} A key of LOCALE_PACKS.
+ */
+window.detectLocale = function () {
+    const candidates = [];
+
+    const hostMatch = window.location.hostname.match(/^s\d+-([a-z]{2,3})\./i);
+    if (hostMatch) {
+        candidates.push(hostMatch[1].toLowerCase());
+    }
+
+    const pageLang = (document.documentElement.getAttribute("lang") || "").trim().toLowerCase();
+    if (pageLang) {
+        candidates.push(pageLang.split(/[-_]/)[0]);
+    }
+
+    for (const code of candidates) {
+        const resolved = window.LOCALE_ALIASES[code] || code;
+        if (window.LOCALE_PACKS[resolved]) {
+            return resolved;
+        }
+    }
+
+    if (candidates.length) {
+        console.warn(
+            `No locale pack for "${candidates.join(", ")}"; falling back to English. ` +
+            "Buttons, cooldowns and reports in this language will not be recognised."
+        );
+    }
+    return "en";
+};
+
+/**
+ * The language code in use for this page.
+ */
+window.activeLocale = window.detectLocale();
+
+/**
+ * Keys already reported as missing from the active pack, so each is only warned about once.
+ */
+const missingLocaleKeys = new Set();
+
+/**
+ * Returns a string or regex from the active pack, falling back to English.
+ *
+ * @function getLocaleString
+ * @param {string} key - e.g. "goToExpedition" or "winnerRegex"
+ * @returns {string|RegExp|undefined}
+ */
+window.getLocaleString = function (key) {
+    const pack = window.LOCALE_PACKS[window.activeLocale] || {};
+    if (pack[key] !== undefined) {
+        return pack[key];
+    }
+    if (window.LOCALE_PACKS.en[key] === undefined) {
+        console.log(`Unknown locale key: ${key}`);
+    } else if (!missingLocaleKeys.has(key)) {
+        missingLocaleKeys.add(key);
+        console.warn(`Locale pack "${window.activeLocale}" has no "${key}"; using the English text.`);
+    }
+    return window.LOCALE_PACKS.en[key];
+};
@@ -6,7 +6,7 @@
  */
 
 /**
- * If autoExpedition is on and HP is above 15%, then render expedition selection UI.
+ * If autoExpedition is on and HP is predicted to stay above the expedition floor, then render expedition selection UI.
  */
 window.handleExpeditionCase = function () {
     // Check if global settings and required functions are defined
@@ -15,7 +15,8 @@ window.handleExpeditionCase = function () {
         return;
     }
 
-    if (!window.settings.autoExpedition || window.getCurrentHP() < 0.15) return;
+    if (!window.settings.autoExpedition) return;
+    if (typeof window.isFightHpSafe === "function" && !window.isFightHpSafe(window.COMBAT_TYPES.EXPEDITION)) return;
     if (typeof window.renderExpeditionSelection === "function") {
         window.renderExpeditionSelection();
     } else {
@@ -53,9 +54,8 @@ window.handleDungeonCase = function () {
             ? window.selectDungeonOpponentSlow()
             : window.selectDungeonOpponentFast();
 
-    const skipBoss =
-        !window.settings.dungeonBossFight &&
-        opponent?.innerText?.toLowerCase().includes("boss");
+    const isBoss = Boolean(opponent?.innerText?.toLowerCase().includes(window.getLocaleString("boss")));
+    const skipBoss = !window.settings.dungeonBossFight && isBoss;
 
     // If it's a boss and we don't want to fight bosses, exit.
     if (!opponent?.getAttribute("src") && skipBoss) {
@@ -67,34 +67,54 @@ window.handleDungeonCase = function () {
         return;
     }
 
-    // Click the opponent if found
+    // Click the opponent if found, remembering it so the report can be added to the dungeon run
     if (opponent) {
+        const dungeonLevel = window.parseValue(
+            new URLSearchParams(window.location.search).get("loc") || String(window.settings.dungeonLevel)
+        );
+        const enemyKey = window.getDungeonKey(dungeonLevel, (opponent.innerText || "").trim());
+        if (typeof window.isFightHpSafe === "function" && !window.isFightHpSafe(window.COMBAT_TYPES.DUNGEON, enemyKey)) {
+            console.log("Not fighting in the dungeon: predicted HP after the fight is below the dungeon floor.");
+            return;
+        }
+        if (typeof window.markFightStart === "function") {
+            window.markFightStart(window.COMBAT_TYPES.DUNGEON, {
+                dungeonLevel,
+                isBoss,
+                opponent: (opponent.innerText || "").trim()
+            });
+        }
         opponent.click();
     }
 };
 
 /**
- * If HP is below minHP, switch to main char and use food.
+ * If HP is below minHP, switch to main char and use food. When the team is due a check
+ * (settings.healTeam, after Turma attacks), every team member is checked and fed instead.
  */
-window.handleHomeCase = function () {
+window.handleHomeCase = async function () {
     if (!window.settings || typeof window.getCurrentHP !== "function") {
         console.log("Settings or getCurrentHP not available; cannot handle home logic.");
         return;
     }
 
-    if (window.getCurrentHP() < window.settings.minHP) {
-        if (typeof window.switchToFirstInventoryTab === "function") {
-            window.switchToFirstInventoryTab();
-        }
-        if (typeof window.update_settings === "function") {
-            window.update_settings("forceReload", true);
-        }
-        if (typeof window.switchToMainCharacter === "function") {
-            window.switchToMainCharacter();
-        }
-        console.log("HP is low, using food");
-        if (typeof window.useOptimalFood === "function") {
-            window.useOptimalFood();
+    const teamCheckDue = typeof window.isTeamCheckDue === "function" && window.isTeamCheckDue();
+    const hpLow = window.getCurrentHP() < window.settings.minHP ||
+        (typeof window.isHealNeededForFights === "function" && window.isHealNeededForFights());
+    if (teamCheckDue || hpLow) {
+        // forceReload is only set afterwards: a reload in the middle would cut the eating short
+        if (teamCheckDue) {
+            console.log("Checking the team's HP before Turma");
+            await window.healTeam();
+        } else {
+            if (typeof window.switchToMainCharacter === "function") {
+                window.switchToMainCharacter();
+            }
+            console.log("HP is low, using food");
+            // Food is searched in every inventory tab, so this takes a few tab switches
+            if (typeof window.useOptimalFood === "function") {
+                await window.useOptimalFood();
+            }
         }
         if (typeof window.update_settings === "function") {
             window.update_settings("forceReload", true);
@@ -102,13 +122,25 @@ window.handleHomeCase = function () {
     }
 };
 
+/**
+ * In the General store, buys food if useOptimalFood asked for a restock.
+ */
+window.handleStoreCase = async function () {
+    if (typeof window.isFoodRestockDue !== "function" || !window.isGeneralStoreScreen() || !window.isFoodRestockDue()) {
+        return;
+    }
+    // restockFood heads back to the overview page itself once something was bought
+    await window.restockFood();
+};
+
 /**
  * If autoTurma is on, attempts to select an optimal attack and click it.
+ * @param {string} [venue] - ARENA_MODES.LOCAL (group arena) or ARENA_MODES.PROVINCIARUM.
  */
-window.handleTurmaCase = async function () {
+window.handleTurmaCase = async function (venue = window.ARENA_MODES.PROVINCIARUM) {
     if (!window.settings || !window.settings.autoTurma) return;
-    if (typeof window.selectOptimalAttack !== "function") {
-        console.log("selectOptimalAttack function not found.");
+    if (typeof window.selectOptimalTurmaAttack !== "function") {
+        console.log("selectOptimalTurmaAttack function not found.");
         return;
     }
 
@@ -119,15 +151,27 @@ window.handleTurmaCase = async function () {
     }
 
     try {
-        const opponent = await window.selectOptimalAttack($own3);
+        const opponent = await window.selectOptimalTurmaAttack($own3);
         console.log(opponent);
         if (opponent) {
+            if (typeof window.resetOpponentSearch === "function") {
+                await window.resetOpponentSearch(window.COMBAT_TYPES.TURMA);
+            }
+            if (typeof window.markFightStart === "function") {
+                window.markFightStart(window.COMBAT_TYPES.TURMA, { opponent: opponent.data("opponentKey"), venue });
+            }
+            window.recordArenaVenue(window.COMBAT_TYPES.TURMA, venue);
+            if (typeof window.markTeamHpStale === "function") {
+                window.markTeamHpStale();
+            }
             opponent.click();
             setTimeout(() => {
                 if (window.CTA_SELECTORS.CONFIRM_ATTACK) {
                     $(window.CTA_SELECTORS.CONFIRM_ATTACK).click();
                 }
             }, 1000);
+        } else if (window.settings.refreshOpponents && typeof window.handleNoGoodOpponent === "function") {
+            await window.handleNoGoodOpponent(window.COMBAT_TYPES.TURMA, window.attackRejections[window.COMBAT_TYPES.TURMA]);
         }
     } catch (err) {
         console.error("Error selecting Turma attack:", err);
@@ -136,33 +180,43 @@ window.handleTurmaCase = async function () {
 
 /**
  * If autoArena is on, attempts to select an optimal attack and click it.
+ * @param {string} [venue] - ARENA_MODES.LOCAL or ARENA_MODES.PROVINCIARUM.
  */
-window.handleArenaCase = async function () {
+window.handleArenaCase = async function (venue = window.ARENA_MODES.PROVINCIARUM) {
     console.log({
         settings: !window.settings,
         autoarena: !window.settings.autoArena
     })
     if (!window.settings || !window.settings.autoArena) return;
-    if (typeof window.selectOptimalAttack !== "function") {
-        console.log("selectOptimalAttack function not found.");
+    if (typeof window.selectOptimalArenaAttack !== "function") {
+        console.log("selectOptimalArenaAttack function not found.");
         return;
     }
 
     const $own2 = $("#own2");
     if (!$own2.length) {
-        console.log("#own3 not found; cannot handle Arena attack.");
+        console.log("#own2 not found; cannot handle Arena attack.");
         return;
     }
 
     try {
-        const opponent = await window.selectOptimalAttack($own2);
+        const opponent = await window.selectOptimalArenaAttack($own2);
         if (opponent) {
+            if (typeof window.resetOpponentSearch === "function") {
+                await window.resetOpponentSearch(window.COMBAT_TYPES.ARENA);
+            }
+            if (typeof window.markFightStart === "function") {
+                window.markFightStart(window.COMBAT_TYPES.ARENA, { opponent: opponent.data("opponentKey"), venue });
+            }
+            window.recordArenaVenue(window.COMBAT_TYPES.ARENA, venue);
             opponent.click();
             setTimeout(() => {
                 if (window.CTA_SELECTORS.CONFIRM_ATTACK) {
                     $(window.CTA_SELECTORS.CONFIRM_ATTACK).click();
                 }
             }, 1000);
+        } else if (window.settings.refreshOpponents && typeof window.handleNoGoodOpponent === "function") {
+            await window.handleNoGoodOpponent(window.COMBAT_TYPES.ARENA, window.attackRejections[window.COMBAT_TYPES.ARENA]);
         }
     } catch (err) {
         console.error("Error selecting Arena attack:", err);
@@ -170,27 +224,83 @@ window.handleArenaCase = async function () {
 };
 
 /**
- * Checks if the current report is a Turma report. If so, parse and update the attack history.
+ * Stores a parsed Arena/Turma report: for our own attacks, completes the opponent key and HP lost
+ * from the pending fight; then records the fight and updates the revenge queue.
+ *
+ * @param {string} type         - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {object} parsedReport - { reportId, opponent, result }.
+ * @returns {Promise<void>}
+ */
+async function recordPvpReport(type, parsedReport) {
+    // Reports of attacks on us must not use up the pending fight of an attack still in flight
+    let hpLost = null;
+    if (parsedReport.result.role !== "defender") {
+        const pendingFight = await window.consumePendingFight(type);
+        parsedReport.opponent = window.resolvePendingOpponent(pendingFight, parsedReport.opponent);
+        hpLost = window.getHpLostSince(pendingFight);
+    }
+    window.updateFightHistory(type, parsedReport.reportId, parsedReport.opponent, { ...parsedReport.result, hpLost });
+    if (typeof window.recordRevengeReport === "function") {
+        await window.recordRevengeReport(type, parsedReport);
+    }
+}
+
+/**
+ * Checks if the current report is an Expedition, Dungeon, Turma or Arena report. If so, parse and update the matching fight history.
  */
 window.handleReportCase = function () {
     if (
-        typeof window.getReportType !== "function" ||
+        typeof window.getReportMode !== "function" ||
         typeof window.REPORTS_MODES !== "object"
     ) {
-        console.log("getReportType or REPORTS_MODES not available; cannot handle report logic.");
+        console.log("getReportMode or REPORTS_MODES not available; cannot handle report logic.");
         return;
     }
-    if (window.getReportType() === window.REPORTS_MODES.TURMA) {
+
+    const reportMode = window.getReportMode();
+    if (reportMode === window.REPORTS_MODES.DUNGEON) {
+        if (typeof window.recordDungeonReport !== "function") {
+            console.log("recordDungeonReport not available.");
+            return;
+        }
+        window.recordDungeonReport().catch((err) => {
+            console.error("Error recording dungeon report:", err);
+        });
+    } else if (reportMode === window.REPORTS_MODES.EXPEDITION) {
+        if (typeof window.recordExpeditionReport !== "function") {
+            console.log("recordExpeditionReport not available.");
+            return;
+        }
+        window.recordExpeditionReport().catch((err) => {
+            console.error("Error recording expedition report:", err);
+        });
+    } else if (reportMode === window.REPORTS_MODES.TURMA) {
         if (
             typeof window.parseTurmaReport !== "function" ||
-            typeof window.updateTurmaAttackHistory !== "function"
+            typeof window.updateFightHistory !== "function"
         ) {
-            console.log("parseTurmaReport or updateTurmaAttackHistory not available.");
+            console.log("parseTurmaReport or updateFightHistory not available.");
             return;
         }
         const parsedReport = window.parseTurmaReport();
         if (parsedReport) {
-            window.updateTurmaAttackHistory(parsedReport.opponent, parsedReport.result);
+            recordPvpReport(window.COMBAT_TYPES.TURMA, parsedReport).catch((err) => {
+                console.error("Error recording Turma report:", err);
+            });
+        }
+    } else if (reportMode === window.REPORTS_MODES.ARENA) {
+        if (
+            typeof window.parseArenaReport !== "function" ||
+            typeof window.updateFightHistory !== "function"
+        ) {
+            console.log("parseArenaReport or updateFightHistory not available.");
+            return;
+        }
+        const parsedReport = window.parseArenaReport();
+        if (parsedReport) {
+            recordPvpReport(window.COMBAT_TYPES.ARENA, parsedReport).catch((err) => {
+                console.error("Error recording Arena report:", err);
+            });
         }
     }
 };
@@ -218,22 +328,37 @@ window.performScreenLogic = function () {
         case window.SCREEN_MODES.REPORT:
             window.handleReportCase();
             break;
+        case window.SCREEN_MODES.INVENTORY:
+            window.handleStoreCase();
+            break;
+        case window.SCREEN_MODES.AUCTION:
+            if (window.settings.auctionScan && typeof window.recordAuctionPage === "function") {
+                window.recordAuctionPage().catch((err) => {
+                    console.error("Error recording auction page:", err);
+                });
+            }
+            if (typeof window.runGoldProtection === "function") {
+                window.runGoldProtection();
+            }
+            break;
+        case window.SCREEN_MODES.GUILD_BANK:
+        case window.SCREEN_MODES.TRAINING:
+            // Gold protection only acts on the page of the configured sink
+            if (typeof window.runGoldProtection === "function") {
+                window.runGoldProtection();
+            }
+            break;
         case window.SCREEN_MODES.ARENA: {
-            console.log("in arena");
-            const searchParams = new URLSearchParams(window.location.search);
-            console.log(searchParams);
-            if (
-                searchParams.get("submod") === window.ARENA_SUBMODES.PROVINCIARUM &&
-                searchParams.get("aType") === String(window.PROVINCIARUM_TYPES.ARENA)
-            ) {
-                console.log("Handling Arena")
-                window.handleArenaCase();
+            // Local arena/group arena or Provinciarum, as allowed by settings.arenaMode
+            const screen = window.getArenaScreen();
+            if (!screen || !window.isArenaVenueEnabled(screen.venue)) {
+                break;
             }
-            if (
-                searchParams.get("submod") === window.ARENA_SUBMODES.PROVINCIARUM &&
-                searchParams.get("aType") === String(window.PROVINCIARUM_TYPES.TURMA)
-            ) {
-                window.handleTurmaCase();
+            if (screen.type === window.COMBAT_TYPES.ARENA) {
+                console.log(`Handling Arena (${screen.venue})`);
+                window.handleArenaCase(screen.venue);
+            } else {
+                window.handleTurmaCase(screen.venue);
             }
             break;
         }
@@ -255,13 +380,54 @@ window.initExtension = async function () {
         } else {
             console.log("loadSettings function not found; settings cannot be loaded.");
         }
-        if (typeof window.loadTurmaHistory === "function") {
-            window.turmaAttackHistory = await window.loadTurmaHistory();
+        if (typeof window.loadPlayerIdentity === "function") {
+            await window.loadPlayerIdentity();
+        } else {
+            console.log("loadPlayerIdentity function not found; report results cannot be attributed.");
+        }
+        if (typeof window.loadOwnStats === "function") {
+            await window.loadOwnStats();
+        }
+        if (typeof window.loadGuildMembers === "function") {
+            await window.loadGuildMembers();
+        }
+        if (typeof window.loadRevengeQueue === "function") {
+            await window.loadRevengeQueue();
+        }
+        if (typeof window.loadOpponentSearchState === "function") {
+            await window.loadOpponentSearchState();
+        }
+        if (typeof window.loadArenaVenues === "function") {
+            await window.loadArenaVenues();
+        }
+        if (typeof window.loadHpSamples === "function") {
+            await window.loadHpSamples();
+        }
+        if (typeof window.loadTeamHp === "function") {
+            await window.loadTeamHp();
+        }
+        if (typeof window.loadFoodRestock === "function") {
+            await window.loadFoodRestock();
+        }
+        if (typeof window.loadGoldProtection === "function") {
+            await window.loadGoldProtection();
+            // A gold sink spend from the previous page shows up in our gold on this one
+            await window.verifyPendingGoldSpend();
+        }
+        if (typeof window.loadAuctionScan === "function") {
+            await window.loadAuctionScan();
+        }
+        if (typeof window.loadAllFightHistory === "function") {
+            await window.loadAllFightHistory();
+            // Arena/Turma histories from before server-aware keys are assumed to be from this server
+            [window.COMBAT_TYPES.ARENA, window.COMBAT_TYPES.TURMA].forEach((type) => {
+                window.migrateOpponentKeys(type, window.getServerInfo().key);
+            });
         } else {
-            console.log("loadTurmaHistory function not found; turma attack history cannot be loaded.");
+            console.log("loadAllFightHistory function not found; fight history cannot be loaded.");
         }
     } catch (err) {
-        console.log("Error loading settings or turma history:", err);
+        console.log("Error loading settings or attack history:", err);
     }
 
     // Merge loaded settings with current global settings
@@ -289,6 +455,17 @@ window.initExtension = async function () {
         console.log("getCurrentHP not defined; cannot display current HP.");
     }
 
+    // Refresh the player identity and our own stats (overview) and the guild members (member list)
+    if (typeof window.detectPlayerIdentity === "function") {
+        window.detectPlayerIdentity();
+    }
+    if (typeof window.refreshOwnStats === "function") {
+        window.refreshOwnStats();
+    }
+    if (typeof window.refreshGuildMembers === "function") {
+        window.refreshGuildMembers();
+    }
+
     // Parse and store location data if parseLocations is available
     if (typeof window.parseLocations === "function") {
         window.parseLocations();
@@ -307,6 +484,11 @@ window.initExtension = async function () {
         }
     }
 
+    // Snapshot the screen before our own logic changes it (for offline fixtures)
+    if (window.settings.captureFixtures && typeof window.captureFixture === "function") {
+        await window.captureFixture();
+    }
+
     // Perform screen-specific logic
     window.performScreenLogic();
 };
@@ -64,13 +64,19 @@ window.openProfile = function () {
  * Cancels or exits the current dungeon (if the button is present).
  */
 window.exitDungeon = function () {
-    // Look for an input with value="cancel dungeon" among .button1 elements
+    // Look for an input with value="cancel dungeon" (localized) among .button1 elements
+    const cancelLabel = window.getLocaleString("cancelDungeon");
     const cancelBtn = $(".button1")
         .toArray()
-        .find((e) => e.value && e.value.toLowerCase() === "cancel dungeon");
+        .find((e) => e.value && e.value.toLowerCase() === cancelLabel);
 
     if (cancelBtn) {
-        $(cancelBtn).trigger("click");
+        // Close the current dungeon run before the page navigates away
+        if (typeof window.closeDungeonRun === "function") {
+            window.closeDungeonRun("exit").finally(() => $(cancelBtn).trigger("click"));
+        } else {
+            $(cancelBtn).trigger("click");
+        }
     } else {
         console.log("No 'cancel dungeon' button found.");
     }
@@ -93,6 +99,17 @@ window.attack_target = function () {
         .first();
 
     if ($attackButton.length) {
+        const monster = $selectedRadio.closest(".expedition_box").find(".expedition_name").text().trim();
+        const location = window.parseValue(new URLSearchParams(window.location.search).get("loc") || "");
+        if (typeof window.isFightHpSafe === "function" &&
+            !window.isFightHpSafe(window.COMBAT_TYPES.EXPEDITION, window.getExpeditionKey(location, monster))) {
+            console.log(`Not attacking ${monster}: predicted HP after the fight is below the expedition floor.`);
+            return;
+        }
+        // Remember the target and our HP so the report can record HP lost per location and monster
+        if (typeof window.markFightStart === "function") {
+            window.markFightStart(window.COMBAT_TYPES.EXPEDITION, { location, opponent: monster });
+        }
         $attackButton.trigger("click");
     } else {
         console.log("No .expedition_button found for the selected expedition target.");
@@ -123,6 +140,8 @@ window.getLocationIdFromRadioBox = function (radioBox) {
 /**
  * Renders radio buttons for each .expedition_box, hooking up onChange events to update settings.
  * Each box's name is read, and a radio input is appended to .expedition_picture.
+ * With settings.useSimulator on, the target with the best simulated outcome is selected
+ * (and attacked by attack_target) instead of the stored expeditionLevel.
  */
 window.renderExpeditionSelection = function () {
     if (typeof window.settings !== "object" || !window.settings) {
@@ -134,7 +153,10 @@ window.renderExpeditionSelection = function () {
         return;
     }
 
+    const location = window.parseValue(new URLSearchParams(window.location.search).get("loc") || "");
+
     let counter = 0;
+    let suggested = null;
     $(".expedition_box").each((_, box) => {
         const $box = $(box);
         const expeditionName = $box.find(".expedition_name").text().trim() || `Expedition #${counter + 1}`;
@@ -165,11 +187,64 @@ window.renderExpeditionSelection = function () {
         const $picture = $box.find(".expedition_picture");
         if ($picture.length) {
             $picture.append($newElement);
+            const simulation = window.renderExpeditionStats($picture, location, expeditionName);
+
+            // Suggest the target with the best predicted win chance, then the least HP lost
+            if (simulation && (!suggested
+                || simulation.pWin > suggested.simulation.pWin
+                || (simulation.pWin === suggested.simulation.pWin
+                    && simulation.expectedHpLost < suggested.simulation.expectedHpLost))) {
+                suggested = { $box, simulation };
+            }
         } else {
             console.log("No .expedition_picture element found in .expedition_box:", box);
         }
         counter++;
     });
+
+    if (suggested) {
+        suggested.$box.addClass("expedition-suggested");
+        // Only the checked radio is attacked; the stored expeditionLevel is kept for when nothing is simulated
+        suggested.$box.find(".expedition-selector").prop("checked", true);
+        console.log(`Selected the simulated best expedition target: ${suggested.$box.find(".expedition_name").text().trim()}.`);
+    }
+};
+
+/**
+ * Appends what an expedition target paid so far (fights, gold and HP lost per fight)
+ * from the expedition fight history, plus the simulated win chance and HP loss when the
+ * monster's stats are known, so the four targets can be compared at a glance.
+ * @param {JQuery} $picture         - The .expedition_picture of the target.
+ * @param {number|string} location  - The current expedition location ID.
+ * @param {string} monster          - The target's name.
+ * @returns {object|null} The simulation result (see simulateFights), if any.
+ */
+window.renderExpeditionStats = function ($picture, location, monster) {
+    if (typeof window.getOpponentRecord !== "function" || typeof window.getExpeditionKey !== "function") {
+        return null;
+    }
+    const lines = [];
+
+    const record = window.getOpponentRecord(window.COMBAT_TYPES.EXPEDITION, window.getExpeditionKey(location, monster));
+    if (record && record.attackCount) {
+        const averages = window.getRecordAverages(record);
+        const hpText = averages.hpLostPerFight === null ? "?" : Math.round(averages.hpLostPerFight);
+        lines.push(`${record.attackCount} fights | ${Math.round(averages.goldPerFight)} gold | -${hpText} HP`);
+    }
+
+    let simulation = null;
+    if (window.settings.useSimulator && window.ownStats && typeof window.simulateFights === "function") {
+        const monsterStats = window.parseMonsterStats($picture.closest(".expedition_box"));
+        if (monsterStats) {
+            simulation = window.simulateFights(window.getCurrentOwnStats(), monsterStats);
+            lines.push(`Sim: ${Math.round(simulation.pWin * 100)}% win | -${Math.round(simulation.expectedHpLost)} HP`);
+        }
+    }
+
+    if (lines.length) {
+        $picture.append($('<div class="expedition-stats"></div>').text(lines.join(" / ")));
+    }
+    return simulation;
 };
 
 /**
@@ -0,0 +1,135 @@
+/**
+ * opponent-policy.js
+ *
+ * Decides who may be attacked at all, before any scoring: a manual blacklist (never attack),
+ * a manual whitelist (always allowed, overriding the automatic rules), our own guild's members
+ * (read from the guild member list) and a "stop after N losses" rule. Every attack selector
+ * checks isOpponentAllowed() before ranking a candidate.
+ */
+
+/**
+ * Names of our guild's members on this server, filled by loadGuildMembers()/refreshGuildMembers().
+ */
+window.guildMembers = [];
+
+/**
+ * Normalises a player name for comparisons.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || "").trim().toLowerCase();
+}
+
+/**
+ * Whether a name is in a list of names (case-insensitive).
+ *
+ * @param {Array<string>} list
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isNameInList(list, name) {
+    const wanted = normalizeName(name);
+    return Array.isArray(list) && list.some((entry) => normalizeName(entry) === wanted);
+}
+
+/**
+ * Loads the stored guild member names for this server into window.guildMembers.
+ *
+ * @function loadGuildMembers
+ * @returns {Promise<Array<string>>}
+ */
+window.loadGuildMembers = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_guild_members", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading guild members:", chrome.runtime.lastError);
+                return resolve([]);
+            }
+            const entry = (stored.gladex_guild_members || {})[key];
+            window.guildMembers = entry ? entry.names : [];
+            resolve(window.guildMembers);
+        });
+    });
+};
+
+/**
+ * Reads the member names from the guild member list (?mod=guild&submod=memberList)
+ * and stores them for this server.
+ *
+ * @function refreshGuildMembers
+ */
+window.refreshGuildMembers = function () {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("mod") !== window.SCREEN_MODES.GUILD || params.get("submod") !== "memberList") {
+        return;
+    }
+
+    const names = [];
+    document.querySelectorAll('#content a[href*="mod=player"]').forEach((link) => {
+        const name = link.textContent.trim();
+        if (name && !names.includes(name)) {
+            names.push(name);
+        }
+    });
+    if (!names.length) {
+        console.log("No guild members found on the member list.");
+        return;
+    }
+
+    window.guildMembers = names;
+    const { key } = window.getServerInfo();
+    chrome.storage.local.get("gladex_guild_members", (stored) => {
+        if (chrome.runtime.lastError) {
+            console.error("Error loading guild members:", chrome.runtime.lastError);
+            return;
+        }
+        const allMembers = stored.gladex_guild_members || {};
+        allMembers[key] = { names, updatedAt: new Date().toISOString() };
+        chrome.storage.local.set({ gladex_guild_members: allMembers }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing guild members:", chrome.runtime.lastError);
+            } else {
+                console.log(`Stored ${names.length} guild members.`);
+            }
+        });
+    });
+};
+
+/**
+ * Checks an opponent against the attack policy. The blacklist always wins; the whitelist
+ * then overrides guild protection and the loss limit. The loss limit only counts our own attacks
+ * on the opponent: being raided by them is a defence (see fight-history.js), not a loss.
+ *
+ * @function isOpponentAllowed
+ * @param {string} type     - One of COMBAT_TYPES.
+ * @param {string} opponent - The opponent's key (see getOpponentKey).
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+window.isOpponentAllowed = function (type, opponent) {
+    const settings = window.settings || {};
+    const { server, name } = window.parseOpponentKey(opponent);
+
+    if (isNameInList(settings.opponentBlacklist, name)) {
+        return { allowed: false, reason: "blacklisted" };
+    }
+    if (isNameInList(settings.opponentWhitelist, name)) {
+        return { allowed: true, reason: null };
+    }
+    // Guild members only exist on our own server
+    const sameServer = !server || server === window.getServerInfo().key;
+    if (settings.protectGuildMembers && sameServer && isNameInList(window.guildMembers, name)) {
+        return { allowed: false, reason: "guild member" };
+    }
+
+    const maxLosses = Number(settings.maxLossesPerOpponent) || 0;
+    const record = typeof window.getOpponentRecord === "function" ? window.getOpponentRecord(type, opponent) : null;
+    // record.losses only counts fights we started; defences are kept in record.defenceLosses
+    if (maxLosses > 0 && record && record.losses >= maxLosses) {
+        return { allowed: false, reason: `lost ${record.losses} times` };
+    }
+
+    return { allowed: true, reason: null };
+};
@@ -0,0 +1,169 @@
+/**
+ * opponent-scoring.js
+ *
+ * Pluggable opponent scoring models for Arena and Turma target selection. A model turns an
+ * opponent's recorded fights into { score, pWin, averageGold, known }, where score is the
+ * expected gold of attacking them. settings.scoringModel picks the model.
+ */
+
+/**
+ * Gold assumed per win when nothing at all has been won yet.
+ */
+window.DEFAULT_PRIOR_GOLD = 100;
+
+/**
+ * Weight of a fight of the given age, halving every `halfLifeDays`.
+ *
+ * @function getFightWeight
+ * @param {string} timestamp    - ISO time of the fight.
+ * @param {number} halfLifeDays - 0 or less disables decay.
+ * @param {number} [now=Date.now()]
+ * @returns {number} A weight in (0, 1].
+ */
+window.getFightWeight = function (timestamp, halfLifeDays, now = Date.now()) {
+    if (!halfLifeDays || halfLifeDays <= 0) {
+        return 1;
+    }
+    const ageDays = Math.max(0, now - new Date(timestamp).getTime()) / 86400000;
+    return Math.pow(0.5, ageDays / halfLifeDays);
+};
+
+/**
+ * Average gold per win across every opponent of a combat type, used as the gold prior.
+ *
+ * @function getPriorGold
+ * @param {string} type - One of COMBAT_TYPES.
+ * @returns {number}
+ */
+window.getPriorGold = function (type) {
+    let wins = 0;
+    let gold = 0;
+    Object.values(window.getOpponentRecords(type)).forEach((record) => {
+        wins += record.wins || 0;
+        gold += record.goldWon || 0;
+    });
+    return wins > 0 ? gold / wins : window.DEFAULT_PRIOR_GOLD;
+};
+
+/**
+ * A Beta prior pseudo-count from the settings: any finite number from 0 up, else 1.
+ *
+ * @param {*} value - settings.scoringPriorWins or settings.scoringPriorLosses.
+ * @returns {number}
+ */
+function getPriorCount(value) {
+    const count = Number(value);
+    return Number.isFinite(count) && count >= 0 ? count : 1;
+}
+
+/**
+ * Win chance predicted from stats alone: the simulated one, else our share of the combat power.
+ *
+ * @param {object} context  - The scoring context.
+ * @param {*} fallback      - Returned when nothing was scouted.
+ * @returns {number|*}
+ */
+function getStatsWinChance(context, fallback) {
+    if (context.simulation) {
+        return context.simulation.pWin;
+    }
+    if (context.scout && context.ownStats) {
+        return window.getPowerShare(context.ownStats, context.scout);
+    }
+    return fallback;
+}
+
+/**
+ * Available scoring models. Each exposes score(context) where context is
+ * { type, opponent, record, reports, priorGold, settings, scout, ownStats, simulation }; reports are
+ * our own attacks on the opponent (fights where they attacked us are left out), scout and
+ * ownStats are scouted profile stats (see scouting.js), simulation comes from simulateFights()
+ * (see combat-sim.js), and all three may be null.
+ */
+window.SCORING_MODELS = {
+    /**
+     * Raw win rate and average gold; unknown opponents are assumed to be a 50% coin flip
+     * unless their stats were scouted.
+     */
+    winrate: {
+        label: "Raw win rate",
+        score(context) {
+            const { record, priorGold } = context;
+            if (!record || !record.attackCount) {
+                const pWin = getStatsWinChance(context, 0.5);
+                return { score: pWin * priorGold, pWin, averageGold: priorGold, known: false };
+            }
+            const pWin = record.wins / record.attackCount;
+            const averageGold = record.wins > 0 ? record.goldWon / record.wins : 0;
+            return { score: pWin * averageGold, pWin, averageGold, known: true };
+        }
+    },
+
+    /**
+     * Beta-prior win rate with time-decayed fights: one lucky win no longer makes an opponent
+     * look 100% safe, and old fights count less than recent ones. score = P(win) x average gold.
+     */
+    bayesian: {
+        label: "Bayesian (Beta prior)",
+        score(context) {
+            const { reports, priorGold, settings } = context;
+            let priorWins = getPriorCount(settings.scoringPriorWins);
+            let priorLosses = getPriorCount(settings.scoringPriorLosses);
+
+            // With scouted stats, centre the prior on the predicted win chance
+            const statsWinChance = getStatsWinChance(context, null);
+            if (statsWinChance !== null) {
+                const pseudoFights = priorWins + priorLosses;
+                priorWins = statsWinChance * pseudoFights;
+                priorLosses = (1 - statsWinChance) * pseudoFights;
+            }
+            const halfLifeDays = Number(settings.scoringHalfLifeDays) || 0;
+
+            let weightedWins = 0;
+            let weightedLosses = 0;
+            let weightedGold = 0;
+            reports.forEach((report) => {
+                const weight = window.getFightWeight(report.timestamp, halfLifeDays);
+                if (report.state === "win") {
+                    weightedWins += weight;
+                    weightedGold += weight * (Number(report.goldWon) || 0);
+                } else if (report.state === "loss") {
+                    weightedLosses += weight;
+                } else {
+                    weightedWins += weight / 2;
+                    weightedLosses += weight / 2;
+                }
+            });
+
+            // Without a prior and without fights, nothing is known: a coin flip
+            const total = priorWins + priorLosses + weightedWins + weightedLosses;
+            const pWin = total > 0 ? (priorWins + weightedWins) / total : 0.5;
+            // Shrink the average gold towards the prior with one pseudo-win of weight
+            const averageGold = (weightedGold + priorGold) / (weightedWins + 1);
+            return { score: pWin * averageGold, pWin, averageGold, known: reports.length > 0 };
+        }
+    },
+};
+
+/**
+ * Scores one opponent with the configured model.
+ *
+ * @function scoreOpponent
+ * @param {string} type      - One of COMBAT_TYPES.
+ * @param {string} opponent  - The opponent's history key.
+ * @param {object} [extra]   - Extra context passed to the model.
+ * @returns {{ score: number, pWin: number, averageGold: number, known: boolean }}
+ */
+window.scoreOpponent = function (type, opponent, extra = {}) {
+    const settings = window.settings || {};
+    const model = window.SCORING_MODELS[settings.scoringModel] || window.SCORING_MODELS.bayesian;
+    return model.score({
+        type,
+        opponent,
+        record: window.getOpponentRecord(type, opponent),
+        reports: window.queryFightHistory({ type, opponent, role: "attacker" }),
+        priorGold: window.getPriorGold(type),
+        settings,
+        ...extra
+    });
+};
@@ -0,0 +1,144 @@
+/**
+ * opponent-search.js
+ *
+ * When no Arena/Turma opponent reaches settings.minOpponentScore, the game's "search for
+ * opponents" button is pressed to get a new list, up to settings.opponentRefreshRetries times
+ * in a row. Once the budget is spent the task is skipped for OPPONENT_SKIP_SECONDS instead of
+ * forcing a losing fight. The attempt counter survives the page reload through storage.
+ * When only our HP held every opponent back (see hp-gate.js), a new list would not help, so no
+ * search is spent and the task is only held back until HP has had time to come back.
+ */
+
+/**
+ * How long Arena/Turma are held back after the retry budget is spent (seconds).
+ */
+window.OPPONENT_SKIP_SECONDS = 15 * 60;
+
+/**
+ * How long Arena/Turma are held back when our HP was too low for every opponent (seconds).
+ */
+window.OPPONENT_HP_SKIP_SECONDS = 5 * 60;
+
+/**
+ * Search state per combat type: { attempts, skipUntil }.
+ */
+window.opponentSearchState = {};
+
+/**
+ * Loads the opponent search state into window.opponentSearchState.
+ *
+ * @function loadOpponentSearchState
+ * @returns {Promise<object>}
+ */
+window.loadOpponentSearchState = function () {
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_opponent_search", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading opponent search state:", chrome.runtime.lastError);
+                return resolve({});
+            }
+            window.opponentSearchState = stored.gladex_opponent_search || {};
+            resolve(window.opponentSearchState);
+        });
+    });
+};
+
+/**
+ * Stores window.opponentSearchState.
+ *
+ * @returns {Promise<void>}
+ */
+function storeOpponentSearchState() {
+    return new Promise((resolve) => {
+        chrome.storage.local.set({ gladex_opponent_search: window.opponentSearchState }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing opponent search state:", chrome.runtime.lastError);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Finds the game's button that loads a new list of opponents.
+ *
+ * @function findOpponentSearchButton
+ * @returns {HTMLElement|null}
+ */
+window.findOpponentSearchButton = function () {
+    const label = window.getLocaleString("searchOpponents");
+    return $("#content input[type=submit], #content input[type=button], #content button")
+        .toArray()
+        .filter((e) => ($(e).val() || $(e).text()).trim().toLowerCase().includes(label))[0] || null;
+};
+
+/**
+ * Seconds left before Arena/Turma may be tried again after the retry budget was spent.
+ *
+ * @function getOpponentSkipRemaining
+ * @param {string} type - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @returns {number}
+ */
+window.getOpponentSkipRemaining = function (type) {
+    const state = window.opponentSearchState[type];
+    if (!state || !state.skipUntil) {
+        return 0;
+    }
+    return Math.max(0, Math.ceil((state.skipUntil - Date.now()) / 1000));
+};
+
+/**
+ * Called when no opponent was good enough: searches for new opponents while the retry
+ * budget lasts, otherwise skips the task for a while. If the HP gate was the only reason,
+ * the task is skipped for a shorter while without searching.
+ *
+ * @function handleNoGoodOpponent
+ * @param {string} type     - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {string} [reason] - Why nobody was selected, one of ATTACK_REJECTIONS.
+ * @returns {Promise<void>}
+ */
+window.handleNoGoodOpponent = async function (type, reason = null) {
+    await window.loadOpponentSearchState();
+    const state = window.opponentSearchState[type] || { attempts: 0, skipUntil: 0 };
+
+    if (reason === window.ATTACK_REJECTIONS.HP_GATE) {
+        window.opponentSearchState[type] = { attempts: state.attempts, skipUntil: Date.now() + window.OPPONENT_HP_SKIP_SECONDS * 1000 };
+        await storeOpponentSearchState();
+        console.log(`Our HP is too low for every ${type} opponent; waiting instead of searching for new ones.`);
+        return;
+    }
+
+    const retries = Number(window.settings.opponentRefreshRetries) || 0;
+    const searchButton = window.findOpponentSearchButton();
+
+    if (state.attempts < retries && searchButton) {
+        state.attempts++;
+        window.opponentSearchState[type] = state;
+        await storeOpponentSearchState();
+        console.log(`No good ${type} opponent; searching for new ones (${state.attempts}/${retries}).`);
+        searchButton.click();
+        return;
+    }
+
+    if (!searchButton) {
+        console.log("Opponent search button not found.");
+    }
+    window.opponentSearchState[type] = { attempts: 0, skipUntil: Date.now() + window.OPPONENT_SKIP_SECONDS * 1000 };
+    await storeOpponentSearchState();
+    console.log(`No good ${type} opponent after ${state.attempts} searches; skipping for now.`);
+};
+
+/**
+ * Clears the search state of a combat type once an opponent is attacked.
+ *
+ * @function resetOpponentSearch
+ * @param {string} type - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @returns {Promise<void>}
+ */
+window.resetOpponentSearch = async function (type) {
+    if (!window.opponentSearchState[type]) {
+        return;
+    }
+    delete window.opponentSearchState[type];
+    await storeOpponentSearchState();
+};
@@ -6,7 +6,7 @@
  * parser-arena.js
  *
  * Parses arena reports from the DOM, extracting the `reportId` from the URL
- * to store each fight uniquely in arenaAttackHistory.
+ * to store each fight uniquely in the Arena fight history.
  */
 
 /**
@@ -59,16 +59,20 @@ window.parseArenaReport = function () {
     }
 
     const winnerText = winnerCell.textContent.trim();
-    const winnerNameMatch = winnerText.match(/^Winner:\s*(.+)$/);
+    const winnerNameMatch = winnerText.match(window.getLocaleString("winnerRegex"));
     const winnerName = winnerNameMatch ? winnerNameMatch[1].trim() : "";
     if (!winnerName) {
         logError("Winner name could not be parsed.");
         return null;
     }
 
-    // NOTE: Replace "Ignemia" with the actual in-game player name or fetch from settings
-    const currentPlayer = "Ignemia";
-    const resultState = winnerName === currentPlayer ? "win" : "loss";
+    // Works out which side we were on (attacker or defender) from the detected player identity
+    const sides = window.getReportSides(content);
+    if (!sides) {
+        logError("Could not determine the fight's sides.");
+        return null;
+    }
+    const resultState = winnerName === window.getPlayerName() ? "win" : "loss";
 
     let goldWon = 0;
     let xpGained = 0;
@@ -78,26 +82,19 @@ window.parseArenaReport = function () {
         const rewardSection = content.querySelector(".report_reward section");
         if (rewardSection) {
             const rewardText = rewardSection.innerText || rewardSection.textContent || "";
-            goldWon = extractNumber(rewardText, /(\d+)\s+Gold/i);
-            xpGained = extractNumber(rewardText, /received\s+(\d+)\s+experience point\(s\)/i);
-            fameGained = extractNumber(rewardText, /received\s+(\d+)\s+fame/i);
+            goldWon = extractNumber(rewardText, window.getLocaleString("goldRegex"));
+            xpGained = extractNumber(rewardText, window.getLocaleString("xpRegex"));
+            fameGained = extractNumber(rewardText, window.getLocaleString("fameRegex"));
         } else {
             logWarning("Reward section not found; goldWon, xpGained, and fameGained remain 0.");
         }
     }
 
-    const defenderElement = content.querySelector("#defenderAvatar11 .playername");
-    const defenderName = defenderElement ? defenderElement.textContent.trim() : "";
-    if (!defenderName) {
-        logError("Defender name could not be parsed.");
-        return null;
-    }
-
     let raidedAmount = 0;
     const raidParagraph = content.querySelector("p");
     if (raidParagraph) {
         const pText = raidParagraph.innerText || raidParagraph.textContent || "";
-        raidedAmount = extractNumber(pText, /has raided:\s*(\d+)/i);
+        raidedAmount = extractNumber(pText, window.getLocaleString("raidedRegex"));
         if (!raidedAmount) {
             logWarning("'has raided:' number not found or 0.");
         }
@@ -105,7 +102,7 @@ window.parseArenaReport = function () {
         logWarning("<p> element containing 'has raided:' not found.");
     }
 
-    const reportId = getArenaId();
+    const reportId = getArenaReportId();
     if (!reportId) {
         logError("No reportId found in the URL. Cannot uniquely store this Arena fight.");
         return null;
@@ -117,11 +114,12 @@ window.parseArenaReport = function () {
         xpGained,
         fameGained,
         raidedAmount,
+        role: sides.role,
         timestamp: new Date().toISOString(),
     };
 
-    console.log("Parsed Arena report:", {reportId, opponent: defenderName, result});
-    return {reportId, opponent: defenderName, result};
+    console.log("Parsed Arena report:", {reportId, opponent: sides.opponentKey, result});
+    return {reportId, opponent: sides.opponentKey, result};
 };
 
 window.parseArenaResultScreen = function () {
@@ -140,18 +138,21 @@ window.parseArenaResultScreen = function () {
         return;
     }
 
-    const opponent = $opponentElem.text().trim();
+    const opponent = window.getOpponentKeyFromLink(
+        $opponentElem.find('a[href*="mod=player"]').attr("href") || null,
+        $opponentElem.text().trim()
+    );
     const resultText = $resultElem.text().trim().toLowerCase();
     const goldWon = parseInt($goldElem.text().trim(), 10) || 0;
 
     let state = "draw";
-    if (resultText.includes("win")) {
+    if (resultText.includes(window.getLocaleString("resultWin"))) {
         state = "win";
-    } else if (resultText.includes("loss")) {
+    } else if (resultText.includes(window.getLocaleString("resultLoss"))) {
         state = "loss";
     }
 
-    window.updateArenaAttackHistory(reportId, opponent, {
+    window.updateFightHistory(window.COMBAT_TYPES.ARENA, reportId, opponent, {
         state,
         goldWon,
         timestamp: new Date().toISOString()
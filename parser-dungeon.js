@@ -0,0 +1,64 @@
+/*************************
+ * parser-dungeon.js
+ *************************/
+
+/**
+ * parser-dungeon.js
+ *
+ * Parses dungeon reports (?t=1) from the DOM, stores each fight in the dungeon fight
+ * history (keyed per dungeon level and enemy) and adds it to the current dungeon run.
+ */
+
+/**
+ * Builds the history key of a dungeon enemy, e.g. "2:Goblin Chief".
+ *
+ * @function getDungeonKey
+ * @param {number|string} dungeonLevel - The dungeon location ID (?loc=...).
+ * @param {string} enemy               - The enemy's name.
+ * @returns {string}
+ */
+window.getDungeonKey = function (dungeonLevel, enemy) {
+    return `${dungeonLevel}:${enemy}`;
+};
+
+/**
+ * Parses the current dungeon report, records it in the dungeon history and the current run.
+ * HP lost, the dungeon level and whether the enemy was the boss come from the pending fight
+ * stored when the enemy was clicked.
+ *
+ * @function recordDungeonReport
+ * @returns {Promise<void>}
+ */
+window.recordDungeonReport = async function () {
+    const parsedReport = window.parseMonsterReport();
+    if (!parsedReport) {
+        return;
+    }
+
+    const pendingFight = await window.consumePendingFight(window.COMBAT_TYPES.DUNGEON);
+    const dungeonLevel = pendingFight && pendingFight.dungeonLevel !== undefined
+        ? pendingFight.dungeonLevel
+        : window.settings.dungeonLevel;
+    const isBoss = Boolean(pendingFight && pendingFight.isBoss);
+
+    // Only count the fight towards the run the first time the report is opened
+    const history = window.fightHistory[window.COMBAT_TYPES.DUNGEON];
+    const isNewReport = !history || !history.reports[parsedReport.reportId];
+
+    window.updateFightHistory(
+        window.COMBAT_TYPES.DUNGEON,
+        parsedReport.reportId,
+        window.getDungeonKey(dungeonLevel, parsedReport.monster),
+        {
+            ...parsedReport.result,
+            dungeonLevel,
+            monster: parsedReport.monster,
+            isBoss,
+            hpLost: window.getHpLostSince(pendingFight)
+        }
+    );
+
+    if (isNewReport && typeof window.recordDungeonRunFight === "function") {
+        await window.recordDungeonRunFight({ ...parsedReport.result, isBoss });
+    }
+};
@@ -0,0 +1,54 @@
+/*************************
+ * parser-expedition.js
+ *************************/
+
+/**
+ * parser-expedition.js
+ *
+ * Parses expedition reports (?t=0) from the DOM and stores each fight in the expedition
+ * fight history, keyed per location and monster, so the expedition targets can be compared
+ * by gold, XP, loot and HP cost.
+ */
+
+/**
+ * Builds the history key of an expedition target, e.g. "3:Wolf".
+ *
+ * @function getExpeditionKey
+ * @param {number|string} location - The expedition location ID (?loc=...).
+ * @param {string} monster         - The monster's name.
+ * @returns {string}
+ */
+window.getExpeditionKey = function (location, monster) {
+    return `${location}:${monster}`;
+};
+
+/**
+ * Parses the current expedition report and records it under its location and monster.
+ * HP lost and the location come from the pending fight stored when the attack was clicked.
+ *
+ * @function recordExpeditionReport
+ * @returns {Promise<void>}
+ */
+window.recordExpeditionReport = async function () {
+    const parsedReport = window.parseMonsterReport();
+    if (!parsedReport) {
+        return;
+    }
+
+    const pendingFight = await window.consumePendingFight(window.COMBAT_TYPES.EXPEDITION);
+    const location = pendingFight && pendingFight.location !== undefined
+        ? pendingFight.location
+        : window.settings.expeditionLocation;
+
+    window.updateFightHistory(
+        window.COMBAT_TYPES.EXPEDITION,
+        parsedReport.reportId,
+        window.getExpeditionKey(location, parsedReport.monster),
+        {
+            ...parsedReport.result,
+            location,
+            monster: parsedReport.monster,
+            hpLost: window.getHpLostSince(pendingFight)
+        }
+    );
+};
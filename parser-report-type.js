@@ -1,7 +1,8 @@
 /**
  * parser-report-type.js
  *
- * Utility to figure out what kind of report is displayed, based on URL query ?t=...
+ * Utility to figure out what kind of report is displayed, based on URL query ?t=...,
+ * plus small helpers shared by the report parsers.
  */
 
 /**
@@ -27,6 +28,15 @@ window.getQueryParams = function (url) {
     return params;
 };
 
+/**
+ * Returns the raw report mode from ?t=..., comparable with REPORTS_MODES.
+ * @returns {string|null} e.g. "3" for Circus Turma, or null if absent.
+ */
+window.getReportMode = function () {
+    const params = window.getQueryParams(window.location.href);
+    return params.t !== undefined ? params.t : null;
+};
+
 /**
  * Determines the type of report (Expedition, Dungeon, Arena, Turma) based on ?t=...
  * @returns {string} e.g. "Circus Turma" or "Unknown Report Type"
@@ -44,3 +54,128 @@ window.getReportType = function () {
 
     return reportTypes[params.t] || "Unknown Report Type";
 };
+
+/**
+ * Splits a game item tooltip into its text lines. Tooltips are usually JSON like
+ * [[["Item name","white"],["Level 12","#808080"]]]; plain-text tooltips are split on line breaks.
+ * @param {string} tooltip - The raw data-tooltip attribute.
+ * @returns {Array<string>} The tooltip lines (first line is the item name).
+ */
+window.parseTooltipLines = function (tooltip) {
+    if (!tooltip || typeof tooltip !== "string") {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(tooltip);
+        const rows = Array.isArray(parsed) && Array.isArray(parsed[0]) ? parsed[0] : [];
+        return rows
+            .map((row) => (Array.isArray(row) ? row[0] : row))
+            .filter((line) => typeof line === "string")
+            .map((line) => line.replace(/<[^>]*>/g, "").trim())
+            .filter(Boolean);
+    } catch (e) {
+        return tooltip
+            .replace(/<br\s*\/?>/gi, "\n")
+            .replace(/<[^>]*>/g, "")
+            .split("\n")
+            .map((line) => line.trim())
+            .filter(Boolean);
+    }
+};
+
+/**
+ * Parses a fight report against a monster (expedition ?t=0 and dungeon ?t=1 share the layout).
+ *
+ * @function parseMonsterReport
+ * @returns {Object|null} { reportId, monster, result } or null if parsing fails.
+ *
+ * result includes:
+ * - state: "win" or "loss"
+ * - goldWon
+ * - xpGained
+ * - items: names of the dropped items
+ * - timestamp
+ */
+window.parseMonsterReport = function () {
+    /**
+     * Logs an error message to the console.
+     * @param {string} message - The error message to log.
+     */
+    function logError(message) {
+        console.error(`Error: ${message}`);
+    }
+
+    /**
+     * Extracts a number from text based on a regex pattern.
+     * @param {string} text
+     * @param {RegExp} pattern
+     * @returns {number} The extracted number, or 0 if not found.
+     */
+    function extractNumber(text, pattern) {
+        const match = text.match(pattern);
+        return match && match[1] ? parseInt(match[1], 10) : 0;
+    }
+
+    const content = document.querySelector("#content");
+    if (!content) {
+        logError('Element with id "#content" not found.');
+        return null;
+    }
+
+    const winnerCell = content.querySelector("#reportHeader td:nth-of-type(2)");
+    if (!winnerCell) {
+        logError("Winner information not found in the report header.");
+        return null;
+    }
+
+    const winnerNameMatch = winnerCell.textContent.trim().match(window.getLocaleString("winnerRegex"));
+    const winnerName = winnerNameMatch ? winnerNameMatch[1].trim() : "";
+    if (!winnerName) {
+        logError("Winner name could not be parsed.");
+        return null;
+    }
+
+    // Against monsters we are always the attacker; the defender is the monster
+    const sides = window.getReportSides(content);
+    if (!sides) {
+        logError("Could not determine the monster fought.");
+        return null;
+    }
+    const resultState = winnerName === window.getPlayerName() ? "win" : "loss";
+
+    let goldWon = 0;
+    let xpGained = 0;
+    const items = [];
+
+    const rewardElement = content.querySelector(".report_reward");
+    if (rewardElement && resultState === "win") {
+        const rewardSection = rewardElement.querySelector("section") || rewardElement;
+        const rewardText = rewardSection.innerText || rewardSection.textContent || "";
+        goldWon = extractNumber(rewardText, window.getLocaleString("goldRegex"));
+        xpGained = extractNumber(rewardText, window.getLocaleString("xpRegex"));
+
+        rewardElement.querySelectorAll("[data-tooltip]").forEach((itemElement) => {
+            const [name] = window.parseTooltipLines(itemElement.getAttribute("data-tooltip"));
+            if (name) {
+                items.push(name);
+            }
+        });
+    }
+
+    const reportId = new URLSearchParams(window.location.search).get("reportId");
+    if (!reportId) {
+        logError("No reportId found in the URL. Cannot uniquely store this fight.");
+        return null;
+    }
+
+    const result = {
+        state: resultState,
+        goldWon,
+        xpGained,
+        items,
+        timestamp: new Date().toISOString(),
+    };
+
+    console.log("Parsed monster report:", {reportId, monster: sides.opponent, result});
+    return {reportId, monster: sides.opponent, result};
+};
@@ -6,7 +6,7 @@
  * parser-turma.js
  *
  * Parses Turma reports from the DOM, extracting the `reportId` from the URL
- * to store each fight uniquely in turmaAttackHistory.
+ * to store each fight uniquely in the Turma fight history.
  */
 
 /**
@@ -30,6 +30,7 @@ function getTurmaReportId() {
  * - xpGained
  * - fameGained
  * - raidedAmount
+ * - role: "attacker" or "defender"
  * - timestamp
  */
 window.parseTurmaReport = function () {
@@ -73,16 +74,20 @@ window.parseTurmaReport = function () {
     }
 
     const winnerText = winnerCell.textContent.trim();
-    const winnerNameMatch = winnerText.match(/^Winner:\s*(.+)$/);
+    const winnerNameMatch = winnerText.match(window.getLocaleString("winnerRegex"));
     const winnerName = winnerNameMatch ? winnerNameMatch[1].trim() : "";
     if (!winnerName) {
         logError("Winner name could not be parsed.");
         return null;
     }
 
-    // NOTE: Replace "Ignemia" with the actual in-game player name or fetch from settings
-    const currentPlayer = "Ignemia";
-    const resultState = winnerName === currentPlayer ? "win" : "loss";
+    // Works out which side we were on (attacker or defender) from the detected player identity
+    const sides = window.getReportSides(content);
+    if (!sides) {
+        logError("Could not determine the fight's sides.");
+        return null;
+    }
+    const resultState = winnerName === window.getPlayerName() ? "win" : "loss";
 
     let goldWon = 0;
     let xpGained = 0;
@@ -92,26 +97,19 @@ window.parseTurmaReport = function () {
         const rewardSection = content.querySelector(".report_reward section");
         if (rewardSection) {
             const rewardText = rewardSection.innerText || rewardSection.textContent || "";
-            goldWon = extractNumber(rewardText, /(\d+)\s+Gold/i);
-            xpGained = extractNumber(rewardText, /received\s+(\d+)\s+experience point\(s\)/i);
-            fameGained = extractNumber(rewardText, /received\s+(\d+)\s+fame/i);
+            goldWon = extractNumber(rewardText, window.getLocaleString("goldRegex"));
+            xpGained = extractNumber(rewardText, window.getLocaleString("xpRegex"));
+            fameGained = extractNumber(rewardText, window.getLocaleString("fameRegex"));
         } else {
             logWarning("Reward section not found; goldWon, xpGained, and fameGained remain 0.");
         }
     }
 
-    const defenderElement = content.querySelector("#defenderAvatar11 .playername");
-    const defenderName = defenderElement ? defenderElement.textContent.trim() : "";
-    if (!defenderName) {
-        logError("Defender name could not be parsed.");
-        return null;
-    }
-
     let raidedAmount = 0;
     const raidParagraph = content.querySelector("p");
     if (raidParagraph) {
         const pText = raidParagraph.innerText || raidParagraph.textContent || "";
-        raidedAmount = extractNumber(pText, /has raided:\s*(\d+)/i);
+        raidedAmount = extractNumber(pText, window.getLocaleString("raidedRegex"));
         if (!raidedAmount) {
             logWarning("'has raided:' number not found or 0.");
         }
@@ -131,16 +129,17 @@ window.parseTurmaReport = function () {
         xpGained,
         fameGained,
         raidedAmount,
+        role: sides.role,
         timestamp: new Date().toISOString(),
     };
 
-    console.log("Parsed Turma Circus report:", {reportId, opponent: defenderName, result});
-    return {reportId, opponent: defenderName, result};
+    console.log("Parsed Turma Circus report:", {reportId, opponent: sides.opponentKey, result});
+    return {reportId, opponent: sides.opponentKey, result};
 };
 
 /**
  * Uses jQuery to parse the Turma result screen fields (alternative shorter approach).
- * Extracts `reportId` from the URL and calls updateTurmaAttackHistory appropriately.
+ * Extracts `reportId` from the URL and calls updateFightHistory appropriately.
  */
 window.parseTurmaResultScreen = function () {
     const reportId = new URLSearchParams(window.location.search).get("reportId");
@@ -158,18 +157,21 @@ window.parseTurmaResultScreen = function () {
         return;
     }
 
-    const opponent = $opponentElem.text().trim();
+    const opponent = window.getOpponentKeyFromLink(
+        $opponentElem.find('a[href*="mod=player"]').attr("href") || null,
+        $opponentElem.text().trim()
+    );
     const resultText = $resultElem.text().trim().toLowerCase();
     const goldWon = parseInt($goldElem.text().trim(), 10) || 0;
 
     let state = "draw";
-    if (resultText.includes("win")) {
+    if (resultText.includes(window.getLocaleString("resultWin"))) {
         state = "win";
-    } else if (resultText.includes("loss")) {
+    } else if (resultText.includes(window.getLocaleString("resultLoss"))) {
         state = "loss";
     }
 
-    window.updateTurmaAttackHistory(reportId, opponent, {
+    window.updateFightHistory(window.COMBAT_TYPES.TURMA, reportId, opponent, {
         state,
         goldWon,
         timestamp: new Date().toISOString()
@@ -0,0 +1,190 @@
+/**
+ * player.js
+ *
+ * Detects who is logged in (character name, player ID, server) and persists that identity
+ * per server, so report parsers can tell wins from losses and attacks from defences.
+ */
+
+/**
+ * Reads the server ID and country from the hostname, e.g. "s36-en.gladiatus.gameforge.com".
+ *
+ * @function getServerInfo
+ * @param {string} [hostname=window.location.hostname]
+ * @returns {{ serverId: string|null, country: string|null, key: string }}
+ */
+window.getServerInfo = function (hostname = window.location.hostname) {
+    const match = (hostname || "").match(/^s(\d+)-([a-z]+)\./i);
+    if (!match) {
+        return { serverId: null, country: null, key: hostname || "unknown" };
+    }
+    const serverId = match[1];
+    const country = match[2].toLowerCase();
+    return { serverId, country, key: `s${serverId}-${country}` };
+};
+
+/**
+ * Loads the stored identity for the current server into window.playerIdentity.
+ *
+ * @function loadPlayerIdentity
+ * @returns {Promise<object|null>} The identity, or null if none was detected yet.
+ */
+window.loadPlayerIdentity = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_player_identity", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading player identity:", chrome.runtime.lastError);
+                return resolve(null);
+            }
+            const identities = stored.gladex_player_identity || {};
+            window.playerIdentity = identities[key] || null;
+            resolve(window.playerIdentity);
+        });
+    });
+};
+
+/**
+ * Persists the given identity under the current server key.
+ *
+ * @function storePlayerIdentity
+ * @param {object} identity - { name, playerId, serverId, country, updatedAt }
+ */
+function storePlayerIdentity(identity) {
+    const { key } = window.getServerInfo();
+    chrome.storage.local.get("gladex_player_identity", (stored) => {
+        if (chrome.runtime.lastError) {
+            console.error("Error loading player identity:", chrome.runtime.lastError);
+            return;
+        }
+        const identities = stored.gladex_player_identity || {};
+        identities[key] = identity;
+        chrome.storage.local.set({ gladex_player_identity: identities }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing player identity:", chrome.runtime.lastError);
+            } else {
+                console.log(`Player identity stored for ${key}:`, identity);
+            }
+        });
+    });
+}
+
+/**
+ * Reads the character name and player ID from the overview page and stores them if changed.
+ * Only runs on ?mod=overview with the main character (not a mercenary) selected.
+ *
+ * @function detectPlayerIdentity
+ * @returns {object|null} The detected identity, or null if not on a suitable page.
+ */
+window.detectPlayerIdentity = function () {
+    const mod = new URLSearchParams(window.location.search).get("mod");
+    if (mod !== window.SCREEN_MODES.HOME) {
+        return null;
+    }
+    if (typeof window.getCurrentCharacter === "function" && window.getCurrentCharacter() > 0) {
+        console.log("A mercenary is selected; skipping player identity detection.");
+        return null;
+    }
+
+    const name = $("#content .playername").first().text().trim();
+    if (!name) {
+        console.log("Player name not found on the overview page.");
+        return null;
+    }
+
+    // The profile link on the overview carries our player ID as ?p=...
+    let playerId = null;
+    const profileHref = $('#content a[href*="mod=player"]').first().attr("href") || "";
+    if (profileHref.includes("?")) {
+        playerId = new URLSearchParams(profileHref.split("?")[1]).get("p");
+    }
+
+    const { serverId, country } = window.getServerInfo();
+    const previous = window.playerIdentity || {};
+    const identity = {
+        name,
+        playerId: playerId || previous.playerId || null,
+        serverId,
+        country,
+        updatedAt: new Date().toISOString()
+    };
+
+    if (previous.name !== identity.name || previous.playerId !== identity.playerId) {
+        storePlayerIdentity(identity);
+    }
+    window.playerIdentity = identity;
+    return identity;
+};
+
+/**
+ * Returns the logged-in character's name, or null if it was never detected on this server.
+ *
+ * @function getPlayerName
+ * @returns {string|null}
+ */
+window.getPlayerName = function () {
+    return window.playerIdentity && window.playerIdentity.name ? window.playerIdentity.name : null;
+};
+
+/**
+ * Builds an opponent key (see getOpponentKey) from a profile link: the server comes from the
+ * link's hostname, the player ID from its ?p= parameter.
+ *
+ * @function getOpponentKeyFromLink
+ * @param {string|null} href - The profile link, absolute or relative to the current page.
+ * @param {string} name      - The opponent's name.
+ * @returns {string}
+ */
+window.getOpponentKeyFromLink = function (href, name) {
+    if (!href) {
+        return window.getOpponentKey(window.getServerInfo().key, null, name);
+    }
+    const url = new URL(href, window.location.href);
+    return window.getOpponentKey(window.getServerInfo(url.hostname).key, url.searchParams.get("p"), name);
+};
+
+/**
+ * Works out both sides of a fight report and which one we were.
+ *
+ * @function getReportSides
+ * @param {HTMLElement} content - The #content element of a report page.
+ * @returns {{ attackerName: string, defenderName: string, role: string, opponent: string, opponentKey: string }|null}
+ *          role is "attacker" or "defender"; opponentKey (see getOpponentKey) is taken from the
+ *          profile link on the opponent's avatar when there is one. null if the sides or our
+ *          identity are unknown, or if neither side is us (e.g. a guildmate's report).
+ */
+window.getReportSides = function (content) {
+    const playerName = window.getPlayerName();
+    if (!playerName) {
+        console.error("Player name unknown; open the overview page once so it can be detected.");
+        return null;
+    }
+
+    const attackerElement = content.querySelector("#attackerAvatar11 .playername");
+    const defenderElement = content.querySelector("#defenderAvatar11 .playername");
+    const attackerName = attackerElement ? attackerElement.textContent.trim() : "";
+    const defenderName = defenderElement ? defenderElement.textContent.trim() : "";
+    if (!attackerName || !defenderName) {
+        console.error("Attacker or defender name could not be parsed.");
+        return null;
+    }
+
+    let role;
+    if (attackerName === playerName) {
+        role = "attacker";
+    } else if (defenderName === playerName) {
+        role = "defender";
+    } else {
+        console.log(`Report between ${attackerName} and ${defenderName} does not involve ${playerName}; ignoring it.`);
+        return null;
+    }
+    const opponent = role === "defender" ? attackerName : defenderName;
+    if (!opponent) {
+        console.error("Opponent name could not be parsed.");
+        return null;
+    }
+
+    const opponentAvatar = content.querySelector(role === "defender" ? "#attackerAvatar11" : "#defenderAvatar11");
+    const profileLink = opponentAvatar ? opponentAvatar.querySelector('a[href*="mod=player"]') : null;
+    const opponentKey = window.getOpponentKeyFromLink(profileLink ? profileLink.getAttribute("href") : null, opponent);
+    return { attackerName, defenderName, role, opponent, opponentKey };
+};
@@ -0,0 +1,173 @@
+/**
+ * revenge.js
+ *
+ * Keeps a revenge queue of players who attacked us in the Arena or Circus Turma. Reports where
+ * we were the defender add the attacker (with the gold they raided); the attack selectors then
+ * prefer a queued opponent whenever they appear in the list. Entries expire after
+ * settings.revengeExpiryHours and are settled once we beat that opponent.
+ *
+ * Reports without a profile link on the attacker's avatar give no player ID and no server, and
+ * Provinciarum attackers may come from any server, so such entries are queued without a server
+ * ("||name") and match any opponent of that name.
+ */
+
+/**
+ * Most entries kept in the queue per server; the oldest are dropped first.
+ */
+window.REVENGE_QUEUE_LIMIT = 100;
+
+/**
+ * Revenge entries for this server: { type, opponent, reportId, raidedAmount, timestamp },
+ * opponent being the opponent's key (see getOpponentKey).
+ */
+window.revengeQueue = [];
+
+/**
+ * Whether a revenge entry is still within settings.revengeExpiryHours.
+ *
+ * @param {object} entry
+ * @returns {boolean}
+ */
+function isRevengeActive(entry) {
+    const expiryMs = (Number(window.settings.revengeExpiryHours) || 0) * 3600000;
+    return Date.now() - new Date(entry.timestamp).getTime() <= expiryMs;
+}
+
+/**
+ * Re-keys an entry without a player ID to an opponent key without a server. Covers entries
+ * queued by name only (before opponent keys) and those pinned to our own server ("server||name").
+ *
+ * @param {object} entry
+ * @returns {boolean} Whether the entry was changed.
+ */
+function migrateRevengeEntry(entry) {
+    const { playerId, name } = window.parseOpponentKey(entry.opponent);
+    const key = playerId ? entry.opponent : window.getOpponentKey("", null, name);
+    if (key === entry.opponent) {
+        return false;
+    }
+    entry.opponent = key;
+    return true;
+}
+
+/**
+ * Whether a queued entry is about the given opponent: the same key, or, for entries without a
+ * player ID, the same name (on the same server, if the entry knows it).
+ *
+ * @param {object} entry
+ * @param {string} opponent - The opponent's key (see getOpponentKey).
+ * @returns {boolean}
+ */
+function isRevengeMatch(entry, opponent) {
+    if (entry.opponent === opponent) {
+        return true;
+    }
+    const queued = window.parseOpponentKey(entry.opponent);
+    const candidate = window.parseOpponentKey(opponent);
+    return !queued.playerId && queued.name === candidate.name && (!queued.server || queued.server === candidate.server);
+}
+
+/**
+ * Loads the revenge queue for this server into window.revengeQueue, dropping expired entries.
+ *
+ * @function loadRevengeQueue
+ * @returns {Promise<Array<object>>}
+ */
+window.loadRevengeQueue = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_revenge_queue", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading revenge queue:", chrome.runtime.lastError);
+                return resolve([]);
+            }
+            window.revengeQueue = ((stored.gladex_revenge_queue || {})[key] || []).filter(isRevengeActive);
+            let migrated = 0;
+            window.revengeQueue.forEach((entry) => {
+                if (migrateRevengeEntry(entry)) migrated++;
+            });
+            if (migrated) {
+                console.log(`Migrated ${migrated} revenge entries without a player ID.`);
+                return storeRevengeQueue().then(() => resolve(window.revengeQueue));
+            }
+            resolve(window.revengeQueue);
+        });
+    });
+};
+
+/**
+ * Stores window.revengeQueue for this server.
+ *
+ * @returns {Promise<void>}
+ */
+function storeRevengeQueue() {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_revenge_queue", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading revenge queue:", chrome.runtime.lastError);
+                return resolve();
+            }
+            const allQueues = stored.gladex_revenge_queue || {};
+            allQueues[key] = window.revengeQueue.slice(-window.REVENGE_QUEUE_LIMIT);
+            chrome.storage.local.set({ gladex_revenge_queue: allQueues }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing revenge queue:", chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Updates the revenge queue from a parsed Arena/Turma report: a fight where we defended
+ * queues the attacker, a fight we won as the attacker settles that opponent's entries.
+ *
+ * @function recordRevengeReport
+ * @param {string} type         - COMBAT_TYPES.ARENA or COMBAT_TYPES.TURMA.
+ * @param {object} parsedReport - { reportId, opponent, result } from parseArenaReport/parseTurmaReport.
+ * @returns {Promise<void>}
+ */
+window.recordRevengeReport = async function (type, parsedReport) {
+    const { reportId, opponent, result } = parsedReport;
+    await window.loadRevengeQueue();
+
+    if (result.role === "defender") {
+        if (window.revengeQueue.some((entry) => entry.reportId === reportId)) {
+            return;
+        }
+        const entry = { type, opponent, reportId, raidedAmount: result.raidedAmount || 0, timestamp: result.timestamp };
+        migrateRevengeEntry(entry);
+        window.revengeQueue.push(entry);
+        console.log(`Queued revenge on ${entry.opponent} (${type}), who raided ${entry.raidedAmount} gold.`);
+        await storeRevengeQueue();
+    } else if (result.state === "win") {
+        const before = window.revengeQueue.length;
+        window.revengeQueue = window.revengeQueue.filter(
+            (entry) => !(entry.type === type && isRevengeMatch(entry, opponent))
+        );
+        if (window.revengeQueue.length !== before) {
+            console.log(`Revenge on ${opponent} (${type}) settled.`);
+            await storeRevengeQueue();
+        }
+    }
+};
+
+/**
+ * Gold raided from us by an opponent across their active revenge entries.
+ *
+ * @function getRevengeAmount
+ * @param {string} type     - One of COMBAT_TYPES.
+ * @param {string} opponent - The opponent's key (see getOpponentKey).
+ * @returns {number|null} The raided gold, or null if the opponent is not queued.
+ */
+window.getRevengeAmount = function (type, opponent) {
+    const entries = window.revengeQueue.filter(
+        (entry) => entry.type === type && isRevengeMatch(entry, opponent) && isRevengeActive(entry)
+    );
+    if (!entries.length) {
+        return null;
+    }
+    return entries.reduce((sum, entry) => sum + (entry.raidedAmount || 0), 0);
+};
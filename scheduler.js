@@ -0,0 +1,257 @@
+/**
+ * scheduler.js
+ *
+ * Central task scheduler. Every automated activity (expedition, dungeon, heal, Turma, Arena)
+ * registers itself as a task with a readiness check, a priority and a cooldown source.
+ * Each cycle picks exactly one ready task, records the decision and runs it, so activities
+ * no longer race each other for window.location.href.
+ */
+
+/**
+ * Registered tasks keyed by their id.
+ */
+window.schedulerTasks = {};
+
+/**
+ * The most recent scheduler decision (kept in memory for debugging).
+ */
+window.lastSchedulerDecision = null;
+
+/**
+ * The most recent decision written to the persisted log.
+ */
+let lastLoggedDecision = null;
+
+/**
+ * Registers (or replaces) a scheduler task.
+ *
+ * @function registerTask
+ * @param {object}   task
+ * @param {string}   task.id          - Unique id, also used in settings.taskPriority.
+ * @param {string}   task.label       - Human readable name.
+ * @param {Function} task.isEnabled   - Returns true if the user enabled this activity.
+ * @param {Function} task.getCooldown - Returns seconds until the activity is available (0 if ready).
+ * @param {Function} [task.isReady]   - Optional extra readiness check (e.g. HP thresholds).
+ * @param {Function} task.run         - Performs the action (usually a navigation).
+ */
+window.registerTask = function (task) {
+    if (!task || !task.id || typeof task.run !== "function") {
+        console.log("Invalid task passed to registerTask:", task);
+        return;
+    }
+    window.schedulerTasks[task.id] = task;
+};
+
+/**
+ * Returns the priority index of a task id based on settings.taskPriority.
+ * Tasks missing from the list are ranked after all listed ones.
+ *
+ * @function getTaskPriority
+ * @param {string} taskId
+ * @returns {number} Lower means more important.
+ */
+window.getTaskPriority = function (taskId) {
+    const order = (window.settings && Array.isArray(window.settings.taskPriority))
+        ? window.settings.taskPriority
+        : window.default_settings.taskPriority;
+    const index = order.indexOf(taskId);
+    return index === -1 ? order.length : index;
+};
+
+/**
+ * Evaluates a single task, catching errors so one broken task can't stop the cycle.
+ *
+ * @param {object} task
+ * @returns {{ id: string, enabled: boolean, cooldown: number, ready: boolean, priority: number }}
+ */
+function evaluateTask(task) {
+    const candidate = {
+        id: task.id,
+        enabled: false,
+        cooldown: Infinity,
+        ready: false,
+        priority: window.getTaskPriority(task.id)
+    };
+    try {
+        candidate.enabled = Boolean(task.isEnabled());
+        if (!candidate.enabled) {
+            return candidate;
+        }
+        candidate.cooldown = Number(task.getCooldown()) || 0;
+        candidate.ready = candidate.cooldown === 0 &&
+            (typeof task.isReady !== "function" || Boolean(task.isReady()));
+    } catch (err) {
+        console.error(`Error evaluating task "${task.id}":`, err);
+        candidate.ready = false;
+    }
+    return candidate;
+}
+
+/**
+ * Evaluates every registered task and picks the ready one with the best priority.
+ *
+ * @function selectNextTask
+ * @returns {{ task: object|null, candidates: Array<object> }}
+ */
+window.selectNextTask = function () {
+    const candidates = Object.values(window.schedulerTasks).map(evaluateTask);
+    const ready = candidates
+        .filter((candidate) => candidate.ready)
+        .sort((a, b) => a.priority - b.priority);
+
+    const task = ready.length ? window.schedulerTasks[ready[0].id] : null;
+    return { task, candidates };
+};
+
+/**
+ * Stores a scheduler decision in memory and appends it to the persisted decision log.
+ * Only decisions that actually picked a task are persisted, and picking the same task again
+ * is persisted at most once per SCHEDULER_LOG_INTERVAL_MS, to avoid a write every tick.
+ *
+ * @function recordSchedulerDecision
+ * @param {object} decision - { taskId, candidates, timestamp }
+ */
+window.recordSchedulerDecision = function (decision) {
+    window.lastSchedulerDecision = decision;
+    if (!decision.taskId) {
+        return;
+    }
+    if (lastLoggedDecision && lastLoggedDecision.taskId === decision.taskId &&
+        Date.parse(decision.timestamp) - Date.parse(lastLoggedDecision.timestamp) < window.SCHEDULER_LOG_INTERVAL_MS) {
+        return;
+    }
+    lastLoggedDecision = decision;
+
+    chrome.storage.local.get("gladex_scheduler_log", (stored) => {
+        if (chrome.runtime.lastError) {
+            console.error("Error loading scheduler log:", chrome.runtime.lastError);
+            return;
+        }
+        const log = Array.isArray(stored.gladex_scheduler_log) ? stored.gladex_scheduler_log : [];
+        log.push(decision);
+        chrome.storage.local.set({ gladex_scheduler_log: log.slice(-window.SCHEDULER_LOG_LIMIT) }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing scheduler log:", chrome.runtime.lastError);
+            }
+        });
+    });
+};
+
+/**
+ * Runs one scheduler cycle: pick exactly one ready task, record the decision, run it.
+ *
+ * @function runSchedulerCycle
+ * @returns {string|null} The id of the task that was run, or null if nothing was ready.
+ */
+window.runSchedulerCycle = function () {
+    if (typeof window.settings !== "object" || !window.settings) {
+        console.log("Settings are missing; skipping scheduler cycle.");
+        return null;
+    }
+
+    const { task, candidates } = window.selectNextTask();
+    window.recordSchedulerDecision({
+        taskId: task ? task.id : null,
+        candidates,
+        timestamp: new Date().toISOString()
+    });
+
+    // Keep the background worker's alarms in sync with the cooldowns seen in the tab
+    if (typeof window.reportCooldowns === "function") {
+        window.reportCooldowns(candidates);
+    }
+
+    if (!task) {
+        return null;
+    }
+
+    console.log(`Scheduler picked task "${task.id}".`);
+    task.run();
+    return task.id;
+};
+
+// ---------------------------
+//        DEFAULT TASKS
+// ---------------------------
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.HEAL,
+    label: "Heal",
+    isEnabled: () => window.settings.autoHeal,
+    getCooldown: () => 0,
+    isReady: () => (window.getCurrentHP() < window.settings.minHP &&
+        !(typeof window.canWaitForRegen === "function" && window.canWaitForRegen())) ||
+        (typeof window.isTeamCheckDue === "function" && window.isTeamCheckDue()) ||
+        (typeof window.isFoodRestockDue === "function" && window.isFoodRestockDue()) ||
+        (typeof window.isHealNeededForFights === "function" && window.isHealNeededForFights()),
+    run: () => {
+        // Out of food: shop first, the food is eaten on the overview page afterwards
+        if (typeof window.isFoodRestockDue === "function" && window.isFoodRestockDue()) {
+            window.openGeneralStore();
+        } else {
+            window.openProfile();
+        }
+    }
+});
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.EXPEDITION,
+    label: "Expedition",
+    isEnabled: () => window.settings.autoExpedition,
+    getCooldown: () => window.getTimeUntilExpedition(),
+    isReady: () => window.isFightHpSafe(window.COMBAT_TYPES.EXPEDITION),
+    run: () => {
+        window.update_settings("forceReload", true);
+        window.openExpeditionTab();
+        window.attack_target();
+    }
+});
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.DUNGEON,
+    label: "Dungeon",
+    isEnabled: () => window.settings.autoDungeon,
+    getCooldown: () => window.getTimeUntilDungeon(),
+    isReady: () => window.isFightHpSafe(window.COMBAT_TYPES.DUNGEON),
+    run: () => {
+        window.update_settings("forceReload", true);
+        window.openDungeonTab();
+    }
+});
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.TURMA,
+    label: "Circus Turma",
+    isEnabled: () => window.settings.autoTurma,
+    getCooldown: () => Math.max(window.getTimeToTurma(), window.getOpponentSkipRemaining(window.COMBAT_TYPES.TURMA)),
+    // The mercenaries are checked and fed on the overview page first
+    isReady: () => !(typeof window.isTeamHpStale === "function" && window.isTeamHpStale()) &&
+        window.isFightHpSafe(window.COMBAT_TYPES.TURMA),
+    run: () => window.openTurma()
+});
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.ARENA,
+    label: "Arena",
+    isEnabled: () => window.settings.autoArena,
+    getCooldown: () => Math.max(window.getTimeToArena(), window.getOpponentSkipRemaining(window.COMBAT_TYPES.ARENA)),
+    isReady: () => window.isFightHpSafe(window.COMBAT_TYPES.ARENA),
+    run: () => window.openArena()
+});
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.PROTECT_GOLD,
+    label: "Protect Gold",
+    isEnabled: () => window.settings.protectGold,
+    getCooldown: () => 0,
+    isReady: () => window.isGoldProtectionDue(),
+    run: () => window.openGoldSink()
+});
+
+window.registerTask({
+    id: window.SCHEDULER_TASKS.AUCTION_SCAN,
+    label: "Auction Scan",
+    isEnabled: () => window.settings.auctionScan,
+    getCooldown: () => window.getTimeUntilAuctionScan(),
+    run: () => window.openNextAuctionCategory()
+});
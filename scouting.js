@@ -0,0 +1,283 @@
+/**
+ * scouting.js
+ *
+ * Scouts Arena/Turma candidates by fetching their profile pages in the background and parsing
+ * level, attributes, armour, damage and HP. Results are cached with a TTL and fed into opponent
+ * scoring, so opponents clearly stronger than us can be skipped before we lose to them.
+ */
+
+/**
+ * Delay between two uncached profile fetches, to stay gentle with the game server (ms).
+ */
+window.SCOUT_FETCH_DELAY_MS = 500;
+
+/**
+ * Our own stats ({ level, strength, ... }), filled by loadOwnStats()/refreshOwnStats().
+ */
+window.ownStats = null;
+
+/**
+ * Reads an integer from the text of an element inside the given document.
+ *
+ * @param {Document|HTMLElement} root
+ * @param {string} selector
+ * @returns {number} The first integer found, or 0.
+ */
+function readStatNumber(root, selector) {
+    const element = root.querySelector(selector);
+    if (!element) return 0;
+    const match = (element.textContent || "").replace(/\./g, "").match(/-?\d+/);
+    return match ? parseInt(match[0], 10) : 0;
+}
+
+/**
+ * Parses the character stats shown on a profile or overview page.
+ *
+ * @function parseProfileStats
+ * @param {Document|HTMLElement} root - The (fetched) profile document.
+ * @returns {object|null} { level, strength, dexterity, agility, constitution, charisma,
+ *                          intelligence, armour, damageMin, damageMax, hp, maxHp } or null.
+ */
+window.parseProfileStats = function (root) {
+    const level = readStatNumber(root, "#char_level");
+    if (!level) {
+        console.log("No character level found; not a profile page?");
+        return null;
+    }
+
+    const damageText = (root.querySelector("#char_schaden") || {}).textContent || "";
+    const damage = damageText.replace(/\./g, "").match(/(\d+)\s*-\s*(\d+)/);
+
+    // HP is shown as "current / max" on the HP bar
+    const hpText = (root.querySelector("#char_leben") || {}).textContent || "";
+    const hp = hpText.replace(/\./g, "").match(/(\d+)\s*\/\s*(\d+)/);
+
+    return {
+        level,
+        strength: readStatNumber(root, "#char_f0"),
+        dexterity: readStatNumber(root, "#char_f1"),
+        agility: readStatNumber(root, "#char_f2"),
+        constitution: readStatNumber(root, "#char_f3"),
+        charisma: readStatNumber(root, "#char_f4"),
+        intelligence: readStatNumber(root, "#char_f5"),
+        armour: readStatNumber(root, "#char_panzer"),
+        damageMin: damage ? parseInt(damage[1], 10) : 0,
+        damageMax: damage ? parseInt(damage[2], 10) : 0,
+        hp: hp ? parseInt(hp[1], 10) : 0,
+        maxHp: hp ? parseInt(hp[2], 10) : 0
+    };
+};
+
+/**
+ * Loads our own stats for this server into window.ownStats.
+ *
+ * @function loadOwnStats
+ * @returns {Promise<object|null>}
+ */
+window.loadOwnStats = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_own_stats", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading own stats:", chrome.runtime.lastError);
+                return resolve(null);
+            }
+            window.ownStats = (stored.gladex_own_stats || {})[key] || null;
+            resolve(window.ownStats);
+        });
+    });
+};
+
+/**
+ * Reads our own stats from the overview page (main character only) and stores them.
+ *
+ * @function refreshOwnStats
+ */
+window.refreshOwnStats = function () {
+    const mod = new URLSearchParams(window.location.search).get("mod");
+    if (mod !== window.SCREEN_MODES.HOME || window.getCurrentCharacter() > 0) {
+        return;
+    }
+    const stats = window.parseProfileStats(document);
+    if (!stats) {
+        return;
+    }
+
+    window.ownStats = stats;
+    const { key } = window.getServerInfo();
+    chrome.storage.local.get("gladex_own_stats", (stored) => {
+        if (chrome.runtime.lastError) {
+            console.error("Error loading own stats:", chrome.runtime.lastError);
+            return;
+        }
+        const allStats = stored.gladex_own_stats || {};
+        allStats[key] = stats;
+        chrome.storage.local.set({ gladex_own_stats: allStats }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing own stats:", chrome.runtime.lastError);
+            }
+        });
+    });
+};
+
+/**
+ * Our stats with the HP from the header bar: the HP stored with window.ownStats is only what
+ * the overview page showed last, and changes with every fight and meal.
+ *
+ * @function getCurrentOwnStats
+ * @returns {object|null} window.ownStats with the current hp and maxHp, or null if not known.
+ */
+window.getCurrentOwnStats = function () {
+    if (!window.ownStats) {
+        return null;
+    }
+    const { current, max } = window.getHealthPoints();
+    return max ? { ...window.ownStats, hp: current, maxHp: max } : window.ownStats;
+};
+
+/**
+ * Builds the cache key of a profile URL: server host plus player ID.
+ *
+ * @function getProfileCacheKey
+ * @param {string} profileUrl - Absolute profile URL.
+ * @returns {string}
+ */
+window.getProfileCacheKey = function (profileUrl) {
+    const url = new URL(profileUrl);
+    return `${url.hostname}|${url.searchParams.get("p") || url.pathname}`;
+};
+
+/**
+ * Loads the scouting cache, dropping entries older than settings.scoutCacheHours.
+ *
+ * @returns {Promise<object>} Cache keyed by getProfileCacheKey().
+ */
+function loadScoutCache() {
+    const ttlMs = (Number(window.settings.scoutCacheHours) || 0) * 3600000;
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_scout_cache", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading scout cache:", chrome.runtime.lastError);
+                return resolve({});
+            }
+            const cache = stored.gladex_scout_cache || {};
+            Object.keys(cache).forEach((key) => {
+                if (Date.now() - cache[key].fetchedAt > ttlMs) {
+                    delete cache[key];
+                }
+            });
+            resolve(cache);
+        });
+    });
+}
+
+/**
+ * Fetches and parses one profile page.
+ *
+ * @function fetchProfileStats
+ * @param {string} profileUrl - Absolute profile URL.
+ * @returns {Promise<object|null>} Parsed stats, or null if the fetch failed (e.g. another server).
+ */
+window.fetchProfileStats = async function (profileUrl) {
+    try {
+        const response = await fetch(profileUrl, { credentials: "include" });
+        if (!response.ok) {
+            console.log(`Profile fetch failed (${response.status}):`, profileUrl);
+            return null;
+        }
+        const html = await response.text();
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        return window.parseProfileStats(doc);
+    } catch (err) {
+        console.log("Profile could not be fetched:", profileUrl, err);
+        return null;
+    }
+};
+
+/**
+ * Returns stats for every given profile URL, from the cache when fresh, otherwise fetched
+ * one by one and cached.
+ *
+ * @function scoutOpponents
+ * @param {Array<string>} profileUrls - Absolute profile URLs.
+ * @returns {Promise<Object<string, object>>} Stats keyed by profile URL (missing if unavailable).
+ */
+window.scoutOpponents = async function (profileUrls) {
+    const cache = await loadScoutCache();
+    const results = {};
+    let fetched = 0;
+
+    for (const profileUrl of profileUrls) {
+        const key = window.getProfileCacheKey(profileUrl);
+        if (cache[key]) {
+            results[profileUrl] = cache[key].stats;
+            continue;
+        }
+        if (fetched > 0) {
+            await new Promise((resolve) => setTimeout(resolve, window.SCOUT_FETCH_DELAY_MS));
+        }
+        fetched++;
+        const stats = await window.fetchProfileStats(profileUrl);
+        if (stats) {
+            cache[key] = { stats, fetchedAt: Date.now() };
+            results[profileUrl] = stats;
+        }
+    }
+
+    if (fetched) {
+        chrome.storage.local.set({ gladex_scout_cache: cache }, () => {
+            if (chrome.runtime.lastError) {
+                console.error("Error storing scout cache:", chrome.runtime.lastError);
+            }
+        });
+    }
+    return results;
+};
+
+/**
+ * Rough fighting strength from stats: average damage boosted by strength/dexterity,
+ * times HP boosted by agility and armour. Only meaningful relative to another value.
+ *
+ * @function getCombatPower
+ * @param {object} stats - From parseProfileStats().
+ * @returns {number}
+ */
+window.getCombatPower = function (stats) {
+    const averageDamage = Math.max(1, (stats.damageMin + stats.damageMax) / 2);
+    const offense = averageDamage * (1 + (stats.strength + stats.dexterity) / 200);
+    const defense = Math.max(1, stats.maxHp || stats.hp) * (1 + (stats.agility + stats.armour / 10) / 200);
+    return offense * defense;
+};
+
+/**
+ * Our share of the combined combat power, a rough prior for P(win).
+ *
+ * @function getPowerShare
+ * @param {object} own      - Our stats.
+ * @param {object} opponent - Their stats.
+ * @returns {number} Between 0 and 1.
+ */
+window.getPowerShare = function (own, opponent) {
+    const ownPower = window.getCombatPower(own);
+    return ownPower / (ownPower + window.getCombatPower(opponent));
+};
+
+/**
+ * Whether an opponent is clearly stronger than us: too many levels above us, or too small
+ * a chance of winning (simulated when available, otherwise our share of the combat power).
+ *
+ * @function isClearlyStronger
+ * @param {object} own          - Our stats.
+ * @param {object} opponent     - Their stats.
+ * @param {object} [simulation] - From simulateFights().
+ * @returns {boolean}
+ */
+window.isClearlyStronger = function (own, opponent, simulation = null) {
+    const maxLevelGap = Number(window.settings.scoutMaxLevelGap);
+    const minPowerShare = Number(window.settings.scoutMinPowerShare) || 0;
+    if (Number.isFinite(maxLevelGap) && opponent.level - own.level > maxLevelGap) {
+        return true;
+    }
+    const winChance = simulation ? simulation.pWin : window.getPowerShare(own, opponent);
+    return winChance < minPowerShare;
+};
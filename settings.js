@@ -5,42 +5,58 @@
  * settings.js
  *
  * Manages the Gladex Chrome Extension's settings page. It loads/saves user
- * preferences, populates form fields, and displays the `turmaAttackHistory`.
- * The Turma data is stored in a structure with `reports` and `opponents`,
- * ensuring each fight is uniquely keyed by its `reportId`.
+ * preferences, populates form fields, and displays the fight history of every combat type
+ * through the shared fight-history.js store, where each fight is uniquely keyed by its `reportId`.
  */
 
+/**
+ * Display names of the scheduler tasks, keyed by task id (see SCHEDULER_TASKS in constants.js).
+ */
+const TASK_LABELS = {
+    heal: "Heal",
+    protectGold: "Protect Gold",
+    expedition: "Expedition",
+    dungeon: "Dungeon",
+    turma: "Circus Turma",
+    arena: "Arena",
+    auctionScan: "Auction Scan"
+};
+
 /**
  * Fired when the DOM content is fully loaded, initializing the settings page.
  */
 document.addEventListener("DOMContentLoaded", () => {
+    // Auction price alerts are shown on the badge until the popup is opened
+    chrome.storage.local.remove("gladex_auction_alerts");
+    chrome.action.setBadgeText({ text: "" });
+    chrome.action.setTitle({ title: "Gladex Settings" });
     initializeSettingsPage();
 });
 
 /**
- * Initializes the settings page by loading settings, locations, and Turma attack history.
- * Populates the form fields and displays the Turma history in the designated section.
+ * Initializes the settings page by loading settings, locations, and the fight history of every combat type.
+ * Populates the form fields and displays each history in its designated section.
  * Attaches the Save button listener.
  */
 async function initializeSettingsPage() {
     try {
-        // Load everything in parallel
-        const [savedSettings, locations, turmaHistory] = await Promise.all([
+        // Load everything in parallel (fight history comes from the shared fight-history.js store)
+        const [savedSettings, locations, , dungeonRuns] = await Promise.all([
             loadSettingsFromStorage(),
             loadLocationsFromStorage(),
-            loadTurmaAttackHistory()
+            window.loadAllFightHistory(),
+            window.loadDungeonRuns()
         ]);
 
-        // Optionally store turmaHistory in savedSettings if desired (for easy reference),
-        // but the UI display will use turmaHistory directly anyway.
-        savedSettings.turmaAttackHistory = turmaHistory;
-
         // Populate the main form
         populateForm(savedSettings);
         // Populate expedition & dungeon select elements
         populateSelectElements(locations);
-        // Display the Turma attack history in the settings page
-        displayTurmaAttackHistory(turmaHistory);
+        // Display the fight history of every combat type in the settings page
+        Object.values(window.COMBAT_TYPES).forEach(type => {
+            displayAttackHistory(`${type}History`, window.getOpponentRecords(type));
+        });
+        displayDungeonRuns(dungeonRuns.runs, locations);
 
         // Attach event listener to the Save button
         const saveBtn = document.getElementById("saveBtn");
@@ -49,6 +65,11 @@ async function initializeSettingsPage() {
         } else {
             console.error('Save button with id "saveBtn" not found.');
         }
+
+        const downloadFixturesBtn = document.getElementById("downloadFixturesBtn");
+        if (downloadFixturesBtn) {
+            downloadFixturesBtn.addEventListener("click", onDownloadFixtures);
+        }
     } catch (error) {
         console.error("Error initializing settings page:", error);
     }
@@ -73,8 +94,50 @@ function loadSettingsFromStorage() {
         dungeonLevel: 2,
         minHP: 0.25,
         dungeonStrategy: 0,
-        dungeonBossFight: false
-
+        dungeonBossFight: false,
+        taskPriority: ["heal", "protectGold", "expedition", "dungeon", "turma", "arena", "auctionScan"],
+        captureFixtures: false,
+        scoringModel: "bayesian",
+        scoringPriorWins: 1,
+        scoringPriorLosses: 1,
+        scoringHalfLifeDays: 14,
+        explorationRate: 0.2,
+        autoScout: true,
+        scoutCacheHours: 12,
+        scoutMaxLevelGap: 5,
+        scoutMinPowerShare: 0.3,
+        useSimulator: true,
+        simulationRuns: 300,
+        opponentBlacklist: [],
+        opponentWhitelist: [],
+        protectGuildMembers: true,
+        maxLossesPerOpponent: 3,
+        preferRevenge: true,
+        revengeExpiryHours: 24,
+        refreshOpponents: false,
+        minOpponentScore: 50,
+        opponentRefreshRetries: 3,
+        arenaMode: "provinciarum",
+        healTargetHP: 0.9,
+        waitForRegen: true,
+        healTeam: false,
+        teamMinHP: [0.5],
+        autoBuyFood: false,
+        foodBudget: 5000,
+        reserveGold: 1000,
+        hpFloorExpedition: 0.15,
+        hpFloorDungeon: 0.15,
+        hpFloorArena: 0.1,
+        hpFloorTurma: 0.1,
+        protectGold: false,
+        goldProtectThreshold: 10000,
+        goldSink: "guildBank",
+        goldTrainingSkill: 1,
+        goldAuctionItem: "",
+        auctionScan: false,
+        auctionScanMinutes: 60,
+        auctionCategories: "",
+        auctionAlerts: []
     };
 
     return new Promise((resolve) => {
@@ -109,39 +172,6 @@ function loadLocationsFromStorage() {
     });
 }
 
-/**
- * Loads Turma attack history (gladex_turma_history) from Chrome storage.
- * Returns an object of the form { reports: {}, opponents: {} } if none is found.
- *
- * @function loadTurmaAttackHistory
- * @returns {Promise<Object>} - The Turma history object (with `reports` & `opponents`).
- */
-function loadTurmaAttackHistory() {
-    return new Promise((resolve) => {
-        chrome.storage.local.get("gladex_turma_history", (data) => {
-            if (chrome.runtime.lastError) {
-                console.error("Error fetching turma attack history:", chrome.runtime.lastError);
-                return resolve({reports: {}, opponents: {}});
-            }
-            const history = data.gladex_turma_history || {reports: {}, opponents: {}};
-            resolve(history);
-        });
-    });
-}
-
-function loadArenaAttackHistory() {
-    return new Promise((resolve) => {
-        chrome.storage.local.get("gladex_arena_history", (data) => {
-            if (chrome.runtime.lastError) {
-                console.error("Error fetching arena attack history:", chrome.runtime.lastError);
-                return resolve({reports: {}, opponents: {}});
-            }
-            const history = data.gladex_arena_history || {reports: {}, opponents: {}};
-            resolve(history);
-        });
-    });
-}
-
 /**
  * Populates the settings form with the provided settings object.
  *
@@ -160,22 +190,209 @@ function populateForm(settings) {
         dungeonLevel: document.getElementById("dungeonLevel"),
         minHP: document.getElementById("minHP"),
         dungeonStrategy: document.getElementById("dungeonStrategy"),
-        dungeonBossFight: document.getElementById("dungeonBossFight")
+        dungeonBossFight: document.getElementById("dungeonBossFight"),
+        captureFixtures: document.getElementById("captureFixtures"),
+        scoringModel: document.getElementById("scoringModel"),
+        scoringPriorWins: document.getElementById("scoringPriorWins"),
+        scoringPriorLosses: document.getElementById("scoringPriorLosses"),
+        scoringHalfLifeDays: document.getElementById("scoringHalfLifeDays"),
+        explorationRate: document.getElementById("explorationRate"),
+        autoScout: document.getElementById("autoScout"),
+        scoutCacheHours: document.getElementById("scoutCacheHours"),
+        scoutMaxLevelGap: document.getElementById("scoutMaxLevelGap"),
+        scoutMinPowerShare: document.getElementById("scoutMinPowerShare"),
+        useSimulator: document.getElementById("useSimulator"),
+        simulationRuns: document.getElementById("simulationRuns"),
+        protectGuildMembers: document.getElementById("protectGuildMembers"),
+        maxLossesPerOpponent: document.getElementById("maxLossesPerOpponent"),
+        preferRevenge: document.getElementById("preferRevenge"),
+        revengeExpiryHours: document.getElementById("revengeExpiryHours"),
+        refreshOpponents: document.getElementById("refreshOpponents"),
+        minOpponentScore: document.getElementById("minOpponentScore"),
+        opponentRefreshRetries: document.getElementById("opponentRefreshRetries"),
+        arenaMode: document.getElementById("arenaMode"),
+        healTargetHP: document.getElementById("healTargetHP"),
+        waitForRegen: document.getElementById("waitForRegen"),
+        healTeam: document.getElementById("healTeam"),
+        teamMinHP: document.getElementById("teamMinHP"),
+        autoBuyFood: document.getElementById("autoBuyFood"),
+        foodBudget: document.getElementById("foodBudget"),
+        reserveGold: document.getElementById("reserveGold"),
+        hpFloorExpedition: document.getElementById("hpFloorExpedition"),
+        hpFloorDungeon: document.getElementById("hpFloorDungeon"),
+        hpFloorArena: document.getElementById("hpFloorArena"),
+        hpFloorTurma: document.getElementById("hpFloorTurma"),
+        protectGold: document.getElementById("protectGold"),
+        goldProtectThreshold: document.getElementById("goldProtectThreshold"),
+        goldSink: document.getElementById("goldSink"),
+        goldTrainingSkill: document.getElementById("goldTrainingSkill"),
+        goldAuctionItem: document.getElementById("goldAuctionItem"),
+        auctionScan: document.getElementById("auctionScan"),
+        auctionScanMinutes: document.getElementById("auctionScanMinutes"),
+        auctionCategories: document.getElementById("auctionCategories")
     };
 
     // Set checkbox states
-    ["autoExpedition", "autoDungeon", "autoHeal", "autoTurma", "autoArena", "dungeonBossFight"].forEach(id => {
+    ["autoExpedition", "autoDungeon", "autoHeal", "autoTurma", "autoArena", "dungeonBossFight", "captureFixtures", "autoScout", "useSimulator", "protectGuildMembers", "preferRevenge", "refreshOpponents", "waitForRegen", "healTeam", "autoBuyFood", "protectGold", "auctionScan"].forEach(id => {
         if (formElems[id]) {
             formElems[id].checked = Boolean(settings[id]);
         }
     });
 
     // Set numeric/selected values
-    ["expeditionLocation", "expeditionLevel", "dungeonLevel", "minHP", "dungeonStrategy"].forEach(id => {
+    ["expeditionLocation", "expeditionLevel", "dungeonLevel", "minHP", "dungeonStrategy", "scoringModel", "scoringPriorWins", "scoringPriorLosses", "scoringHalfLifeDays", "explorationRate", "scoutCacheHours", "scoutMaxLevelGap", "scoutMinPowerShare", "simulationRuns", "maxLossesPerOpponent", "revengeExpiryHours", "minOpponentScore", "opponentRefreshRetries", "arenaMode", "healTargetHP", "foodBudget", "reserveGold", "hpFloorExpedition", "hpFloorDungeon", "hpFloorArena", "hpFloorTurma", "goldProtectThreshold", "goldSink", "goldTrainingSkill", "goldAuctionItem", "auctionScanMinutes", "auctionCategories"].forEach(id => {
         if (formElems[id]) {
             formElems[id].value = settings[id];
         }
     });
+
+    if (formElems.teamMinHP) {
+        formElems.teamMinHP.value = window.parseTeamMinHP(settings.teamMinHP).join(", ");
+    }
+
+    // Set name lists (and auction alerts), one entry per line
+    ["opponentBlacklist", "opponentWhitelist", "auctionAlerts"].forEach(id => {
+        const textarea = document.getElementById(id);
+        if (textarea) {
+            textarea.value = (settings[id] || []).join("\n");
+        }
+    });
+
+    renderTaskPriority(settings.taskPriority);
+}
+
+/**
+ * Reads a textarea holding one player name (or other entry) per line.
+ *
+ * @function readNameList
+ * @param {string} id - The textarea ID.
+ * @returns {Array<string>} The non-empty, trimmed names.
+ */
+function readNameList(id) {
+    const textarea = document.getElementById(id);
+    if (!textarea) {
+        return [];
+    }
+    return textarea.value.split("\n").map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a Beta prior pseudo-count of the scoring model; 0 is allowed, an empty field gives 1.
+ *
+ * @function readPriorCount
+ * @param {string} id - The input's id.
+ * @returns {number}
+ */
+function readPriorCount(id) {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) && value >= 0 ? value : 1;
+}
+
+/**
+ * Reads the auction item categories: comma separated itemType IDs.
+ *
+ * @function readAuctionCategories
+ * @returns {string|null} The IDs as "1, 2, 5" without duplicates, or null if one is not a positive whole number.
+ */
+function readAuctionCategories() {
+    const values = document.getElementById("auctionCategories").value
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean);
+    if (values.some((value) => !/^\d+$/.test(value) || parseInt(value, 10) === 0)) {
+        return null;
+    }
+    return Array.from(new Set(values.map((value) => parseInt(value, 10)))).join(", ");
+}
+
+/**
+ * Reads the mercenary HP thresholds: comma separated fractions of max HP, one per mercenary.
+ *
+ * @function readTeamMinHP
+ * @returns {Array<number>|null} The thresholds, or null if one is not a fraction between 0 and 1.
+ */
+function readTeamMinHP() {
+    const values = document.getElementById("teamMinHP").value
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean);
+    const thresholds = window.parseTeamMinHP(values);
+    if (thresholds.length !== values.length || thresholds.some((value) => value < 0 || value > 1)) {
+        return null;
+    }
+    return thresholds;
+}
+
+/**
+ * Renders the scheduler task priority list, with buttons to move each task up or down.
+ * Task ids missing from the stored order are appended at the end.
+ *
+ * @function renderTaskPriority
+ * @param {Array<string>} taskPriority - Task ids, most important first.
+ */
+function renderTaskPriority(taskPriority) {
+    const list = document.getElementById("taskPriority");
+    if (!list) {
+        console.warn('taskPriority list not found in settings.html.');
+        return;
+    }
+
+    const order = Array.isArray(taskPriority) ? taskPriority.filter(id => TASK_LABELS[id]) : [];
+    Object.keys(TASK_LABELS).forEach(id => {
+        if (!order.includes(id)) {
+            order.push(id);
+        }
+    });
+
+    list.innerHTML = "";
+    order.forEach(id => {
+        const item = document.createElement("li");
+        item.dataset.taskId = id;
+
+        const label = document.createElement("span");
+        label.textContent = TASK_LABELS[id];
+        item.appendChild(label);
+
+        const buttons = document.createElement("span");
+        [["▲", -1], ["▼", 1]].forEach(([text, direction]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = text;
+            button.addEventListener("click", () => moveTaskPriority(id, direction));
+            buttons.appendChild(button);
+        });
+        item.appendChild(buttons);
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Moves a task one step up (-1) or down (1) in the rendered priority list.
+ *
+ * @function moveTaskPriority
+ * @param {string} taskId
+ * @param {number} direction
+ */
+function moveTaskPriority(taskId, direction) {
+    const order = readTaskPriority();
+    const index = order.indexOf(taskId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) {
+        return;
+    }
+    [order[index], order[target]] = [order[target], order[index]];
+    renderTaskPriority(order);
+}
+
+/**
+ * Reads the current task order from the rendered priority list.
+ *
+ * @function readTaskPriority
+ * @returns {Array<string>} Task ids, most important first.
+ */
+function readTaskPriority() {
+    return Array.from(document.querySelectorAll("#taskPriority li")).map(item => item.dataset.taskId);
 }
 
 /**
@@ -218,28 +435,30 @@ function populateSelectElements(locations) {
 }
 
 /**
- * Displays the given Turma attack history in a table inside #turmaHistory.
- * Expects an object { reports: {}, opponents: {} }.
+ * Displays the given opponent aggregates in a table inside the given container.
+ * Server-aware keys (Arena/Turma, see getOpponentKey) get an extra Server column.
  *
- * @function displayTurmaAttackHistory
- * @param {Object} turmaHistory - The turma history object with opponents keyed in .opponents
+ * @function displayAttackHistory
+ * @param {string} containerId   - e.g. "turmaHistory" or "arenaHistory"
+ * @param {Object} opponentsObj  - Aggregates keyed by opponent (see getOpponentRecords)
  */
-function displayTurmaAttackHistory(turmaHistory) {
-    const container = document.getElementById("turmaHistory");
+function displayAttackHistory(containerId, opponentsObj) {
+    const container = document.getElementById(containerId);
     if (!container) {
-        console.warn('turmaHistory container not found in settings.html.');
+        console.warn(`${containerId} container not found in settings.html.`);
         return;
     }
 
     container.innerHTML = "";
 
-    const opponentsObj = turmaHistory.opponents || {};
     const opponentNames = Object.keys(opponentsObj);
     if (!opponentNames.length) {
         container.textContent = "No attack history available.";
         return;
     }
 
+    const showServer = opponentNames.some(key => window.parseOpponentKey(key).server !== null);
+
     // Build a table
     const table = document.createElement("table");
     table.classList.add("history-table");
@@ -247,6 +466,9 @@ function displayTurmaAttackHistory(turmaHistory) {
     const thead = document.createElement("thead");
     const headerRow = document.createElement("tr");
     const headers = ["Opponent Name", "Wins", "Losses", "Draws", "Win Rate (%)", "Total Gold Won"];
+    if (showServer) {
+        headers.unshift("Server");
+    }
     headers.forEach(text => {
         const th = document.createElement("th");
         th.textContent = text;
@@ -259,7 +481,7 @@ function displayTurmaAttackHistory(turmaHistory) {
 
     opponentNames.forEach(opponentName => {
         const record = opponentsObj[opponentName] || {};
-        const row = createHistoryRow(opponentName, record);
+        const row = createHistoryRow(opponentName, record, showServer);
         tbody.appendChild(row);
     });
 
@@ -268,14 +490,89 @@ function displayTurmaAttackHistory(turmaHistory) {
 }
 
 /**
- * Creates and returns a table row for one opponent's Turma stats.
- * record is { reportIds: [...], wins, losses, draws, goldWon, xpGained, attackCount }
+ * Displays finished dungeon runs grouped by dungeon level and difficulty, with per-run averages.
+ *
+ * @function displayDungeonRuns
+ * @param {Array<Object>} runs      - Finished runs from loadDungeonRuns()
+ * @param {Array<Object>} locations - { name, locId } objects, used to name the dungeon levels
+ */
+function displayDungeonRuns(runs, locations) {
+    const container = document.getElementById("dungeonRuns");
+    if (!container) {
+        console.warn('dungeonRuns container not found in settings.html.');
+        return;
+    }
+
+    container.innerHTML = "";
+    if (!runs.length) {
+        container.textContent = "No dungeon runs recorded.";
+        return;
+    }
+
+    const groups = {};
+    runs.forEach(run => {
+        const key = `${run.dungeonLevel}|${run.difficulty}`;
+        if (!groups[key]) {
+            groups[key] = {dungeonLevel: run.dungeonLevel, difficulty: run.difficulty, runs: []};
+        }
+        groups[key].runs.push(run);
+    });
+
+    const table = document.createElement("table");
+    table.classList.add("history-table");
+
+    const headerRow = document.createElement("tr");
+    ["Dungeon", "Difficulty", "Runs", "Avg Minutes", "Avg Fights", "Wins", "Losses", "Avg Gold", "Avg XP", "Items"].forEach(text => {
+        const th = document.createElement("th");
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    Object.values(groups).forEach(group => {
+        const count = group.runs.length;
+        const sum = (field) => group.runs.reduce((total, run) => total + (Number(run[field]) || 0), 0);
+        const location = locations.find(({ locId }) => String(locId) === String(group.dungeonLevel));
+
+        const cells = [
+            location ? location.name : group.dungeonLevel,
+            group.difficulty || "-",
+            count,
+            (sum("durationMs") / count / 60000).toFixed(1),
+            (sum("fights") / count).toFixed(1),
+            sum("wins"),
+            sum("losses"),
+            Math.round(sum("goldWon") / count),
+            Math.round(sum("xpGained") / count),
+            group.runs.reduce((total, run) => total + (run.items || []).length, 0)
+        ];
+
+        const row = document.createElement("tr");
+        cells.forEach(value => {
+            const td = document.createElement("td");
+            td.textContent = value;
+            row.appendChild(td);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+/**
+ * Creates and returns a table row for one opponent's fight stats.
+ * record is { reportIds: [...], wins, losses, draws, goldWon, xpGained, attackCount } (our attacks only)
  *
  * @function createHistoryRow
- * @param {string} opponentName - Opponent name
+ * @param {string} opponentKey  - Opponent key (see getOpponentKey) or name
  * @param {Object} record       - Aggregated data for that opponent
+ * @param {boolean} showServer  - Whether to add the Server cell
  */
-function createHistoryRow(opponentName, record) {
+function createHistoryRow(opponentKey, record, showServer) {
+    const { server, name } = window.parseOpponentKey(opponentKey);
     const totalAttacks = record.attackCount || 0;
     const wins = record.wins || 0;
     const losses = record.losses || 0;
@@ -289,8 +586,14 @@ function createHistoryRow(opponentName, record) {
 
     const row = document.createElement("tr");
 
+    if (showServer) {
+        const serverCell = document.createElement("td");
+        serverCell.textContent = server || "?";
+        row.appendChild(serverCell);
+    }
+
     const nameCell = document.createElement("td");
-    nameCell.textContent = opponentName;
+    nameCell.textContent = name;
     row.appendChild(nameCell);
 
     const winsCell = document.createElement("td");
@@ -334,7 +637,46 @@ function onSaveSettings() {
         dungeonLevel: document.getElementById("dungeonLevel"),
         minHP: document.getElementById("minHP"),
         dungeonStrategy: document.getElementById("dungeonStrategy"),
-        dungeonBossFight: document.getElementById("dungeonBossFight")
+        dungeonBossFight: document.getElementById("dungeonBossFight"),
+        captureFixtures: document.getElementById("captureFixtures"),
+        scoringModel: document.getElementById("scoringModel"),
+        scoringPriorWins: document.getElementById("scoringPriorWins"),
+        scoringPriorLosses: document.getElementById("scoringPriorLosses"),
+        scoringHalfLifeDays: document.getElementById("scoringHalfLifeDays"),
+        explorationRate: document.getElementById("explorationRate"),
+        autoScout: document.getElementById("autoScout"),
+        scoutCacheHours: document.getElementById("scoutCacheHours"),
+        scoutMaxLevelGap: document.getElementById("scoutMaxLevelGap"),
+        scoutMinPowerShare: document.getElementById("scoutMinPowerShare"),
+        useSimulator: document.getElementById("useSimulator"),
+        simulationRuns: document.getElementById("simulationRuns"),
+        protectGuildMembers: document.getElementById("protectGuildMembers"),
+        maxLossesPerOpponent: document.getElementById("maxLossesPerOpponent"),
+        preferRevenge: document.getElementById("preferRevenge"),
+        revengeExpiryHours: document.getElementById("revengeExpiryHours"),
+        refreshOpponents: document.getElementById("refreshOpponents"),
+        minOpponentScore: document.getElementById("minOpponentScore"),
+        opponentRefreshRetries: document.getElementById("opponentRefreshRetries"),
+        arenaMode: document.getElementById("arenaMode"),
+        healTargetHP: document.getElementById("healTargetHP"),
+        waitForRegen: document.getElementById("waitForRegen"),
+        healTeam: document.getElementById("healTeam"),
+        teamMinHP: document.getElementById("teamMinHP"),
+        autoBuyFood: document.getElementById("autoBuyFood"),
+        foodBudget: document.getElementById("foodBudget"),
+        reserveGold: document.getElementById("reserveGold"),
+        hpFloorExpedition: document.getElementById("hpFloorExpedition"),
+        hpFloorDungeon: document.getElementById("hpFloorDungeon"),
+        hpFloorArena: document.getElementById("hpFloorArena"),
+        hpFloorTurma: document.getElementById("hpFloorTurma"),
+        protectGold: document.getElementById("protectGold"),
+        goldProtectThreshold: document.getElementById("goldProtectThreshold"),
+        goldSink: document.getElementById("goldSink"),
+        goldTrainingSkill: document.getElementById("goldTrainingSkill"),
+        goldAuctionItem: document.getElementById("goldAuctionItem"),
+        auctionScan: document.getElementById("auctionScan"),
+        auctionScanMinutes: document.getElementById("auctionScanMinutes"),
+        auctionCategories: document.getElementById("auctionCategories")
     };
 
     const missingElem = Object.entries(formElems).find(([_, elem]) => !elem);
@@ -343,18 +685,75 @@ function onSaveSettings() {
         return;
     }
 
+    const auctionCategories = readAuctionCategories();
+    if (auctionCategories === null) {
+        alert('Item categories must be itemType IDs separated by commas, e.g. "1, 2, 5".');
+        formElems.auctionCategories.focus();
+        return;
+    }
+
+    const teamMinHP = readTeamMinHP();
+    if (teamMinHP === null) {
+        alert('Mercenary Min HP must be fractions of max HP separated by commas, e.g. "0.5, 0.3".');
+        formElems.teamMinHP.focus();
+        return;
+    }
+
     const newSettings = {
         autoExpedition: formElems.autoExpedition.checked,
         autoDungeon: formElems.autoDungeon.checked,
         autoHeal: formElems.autoHeal.checked,
         autoTurma: formElems.autoTurma.checked,
-        autoTurma: formElems.autoArena.checked,
+        autoArena: formElems.autoArena.checked,
         expeditionLocation: parseValue(formElems.expeditionLocation.value),
         expeditionLevel: parseInt(formElems.expeditionLevel.value, 10) || 0,
         dungeonLevel: parseInt(formElems.dungeonLevel.value, 10) || 0,
         minHP: parseFloat(formElems.minHP.value) || 0,
         dungeonStrategy: parseInt(formElems.dungeonStrategy.value, 10) || 0,
-        dungeonBossFight: formElems.dungeonBossFight.checked
+        dungeonBossFight: formElems.dungeonBossFight.checked,
+        captureFixtures: formElems.captureFixtures.checked,
+        taskPriority: readTaskPriority(),
+        scoringModel: formElems.scoringModel.value,
+        scoringPriorWins: readPriorCount("scoringPriorWins"),
+        scoringPriorLosses: readPriorCount("scoringPriorLosses"),
+        scoringHalfLifeDays: parseFloat(formElems.scoringHalfLifeDays.value) || 0,
+        explorationRate: parseFloat(formElems.explorationRate.value) || 0,
+        autoScout: formElems.autoScout.checked,
+        scoutCacheHours: parseFloat(formElems.scoutCacheHours.value) || 0,
+        scoutMaxLevelGap: parseInt(formElems.scoutMaxLevelGap.value, 10) || 0,
+        scoutMinPowerShare: parseFloat(formElems.scoutMinPowerShare.value) || 0,
+        useSimulator: formElems.useSimulator.checked,
+        simulationRuns: parseInt(formElems.simulationRuns.value, 10) || 0,
+        protectGuildMembers: formElems.protectGuildMembers.checked,
+        maxLossesPerOpponent: parseInt(formElems.maxLossesPerOpponent.value, 10) || 0,
+        opponentBlacklist: readNameList("opponentBlacklist"),
+        opponentWhitelist: readNameList("opponentWhitelist"),
+        preferRevenge: formElems.preferRevenge.checked,
+        revengeExpiryHours: parseFloat(formElems.revengeExpiryHours.value) || 0,
+        refreshOpponents: formElems.refreshOpponents.checked,
+        minOpponentScore: parseFloat(formElems.minOpponentScore.value) || 0,
+        opponentRefreshRetries: parseInt(formElems.opponentRefreshRetries.value, 10) || 0,
+        arenaMode: formElems.arenaMode.value,
+        healTargetHP: parseFloat(formElems.healTargetHP.value) || 0,
+        waitForRegen: formElems.waitForRegen.checked,
+        healTeam: formElems.healTeam.checked,
+        teamMinHP,
+        autoBuyFood: formElems.autoBuyFood.checked,
+        foodBudget: parseInt(formElems.foodBudget.value, 10) || 0,
+        reserveGold: parseInt(formElems.reserveGold.value, 10) || 0,
+        hpFloorExpedition: parseFloat(formElems.hpFloorExpedition.value) || 0,
+        hpFloorDungeon: parseFloat(formElems.hpFloorDungeon.value) || 0,
+        hpFloorArena: parseFloat(formElems.hpFloorArena.value) || 0,
+        hpFloorTurma: parseFloat(formElems.hpFloorTurma.value) || 0,
+        protectGold: formElems.protectGold.checked,
+        goldProtectThreshold: parseInt(formElems.goldProtectThreshold.value, 10) || 0,
+        goldSink: formElems.goldSink.value,
+        goldTrainingSkill: parseInt(formElems.goldTrainingSkill.value, 10) || 1,
+        goldAuctionItem: formElems.goldAuctionItem.value.trim(),
+        auctionScan: formElems.auctionScan.checked,
+        auctionScanMinutes: parseInt(formElems.auctionScanMinutes.value, 10) || 0,
+        auctionCategories,
+        auctionAlerts: readNameList("auctionAlerts")
     };
 
     // Save to local storage
@@ -369,6 +768,35 @@ function onSaveSettings() {
     });
 }
 
+/**
+ * Downloads every captured screen fixture (gladex_fixtures) as a separate .html file.
+ *
+ * @function onDownloadFixtures
+ */
+function onDownloadFixtures() {
+    chrome.storage.local.get("gladex_fixtures", (data) => {
+        if (chrome.runtime.lastError) {
+            console.error("Error fetching fixtures:", chrome.runtime.lastError);
+            return;
+        }
+        const fixtures = data.gladex_fixtures || {};
+        const names = Object.keys(fixtures);
+        if (!names.length) {
+            alert("No fixtures captured yet. Enable fixture capture and browse the game first.");
+            return;
+        }
+
+        names.forEach(name => {
+            const blob = new Blob([fixtures[name].html], {type: "text/html"});
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(blob);
+            link.download = `${name}.html`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+    });
+}
+
 /**
  * Parses a string value into a number if possible; otherwise returns the original string.
  *
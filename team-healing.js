@@ -0,0 +1,255 @@
+/**
+ * team-healing.js
+ *
+ * Keeps track of the HP of every team member on the overview page (the gladiator and the
+ * mercenaries behind the .charmercsel entries) and feeds them before Circus Turma fights.
+ * The gladiator uses settings.minHP; mercenaries use settings.teamMinHP, an array with one
+ * threshold per mercenary (the last value applies to the rest). Food goes to the member
+ * furthest below their threshold first, using the same food selection as useOptimalFood.
+ */
+
+/**
+ * Time to wait before checking the team again when a member could not be fed (ms).
+ */
+window.TEAM_CHECK_RETRY_MS = 10 * 60 * 1000;
+
+/**
+ * Team HP for this server: { members: [{ index, name, hp, maxHp }], stale, lastFailure, updatedAt }.
+ * `stale` is set after each Turma attack, until the whole team was checked on the overview page
+ * and every member is at or above their threshold; `lastFailure` is when a check last left it stale.
+ */
+window.teamHp = { members: [], stale: true, lastFailure: 0, updatedAt: null };
+
+/**
+ * Loads the stored team HP for this server into window.teamHp.
+ *
+ * @function loadTeamHp
+ * @returns {Promise<object>}
+ */
+window.loadTeamHp = function () {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_team_hp", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading team HP:", chrome.runtime.lastError);
+                return resolve(window.teamHp);
+            }
+            window.teamHp = (stored.gladex_team_hp || {})[key] || { members: [], stale: true, lastFailure: 0, updatedAt: null };
+            resolve(window.teamHp);
+        });
+    });
+};
+
+/**
+ * Stores window.teamHp for this server.
+ *
+ * @returns {Promise<void>}
+ */
+function storeTeamHp() {
+    const { key } = window.getServerInfo();
+    return new Promise((resolve) => {
+        chrome.storage.local.get("gladex_team_hp", (stored) => {
+            if (chrome.runtime.lastError) {
+                console.error("Error loading team HP:", chrome.runtime.lastError);
+                return resolve();
+            }
+            const allTeams = stored.gladex_team_hp || {};
+            allTeams[key] = window.teamHp;
+            chrome.storage.local.set({ gladex_team_hp: allTeams }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error("Error storing team HP:", chrome.runtime.lastError);
+                }
+                resolve();
+            });
+        });
+    });
+}
+
+/**
+ * Marks the stored team HP as outdated, e.g. after a Turma attack hurt the mercenaries.
+ *
+ * @function markTeamHpStale
+ * @returns {Promise<void>}
+ */
+window.markTeamHpStale = function () {
+    window.teamHp.stale = true;
+    return storeTeamHp();
+};
+
+/**
+ * Whether the team has to be checked (and fed) before the next Turma attack.
+ *
+ * @function isTeamHpStale
+ * @returns {boolean}
+ */
+window.isTeamHpStale = function () {
+    return Boolean(window.settings.healTeam && window.settings.autoTurma && window.teamHp.stale);
+};
+
+/**
+ * Whether the team should be checked on the overview page now: it is stale, and the last check
+ * that could not feed everyone is at least TEAM_CHECK_RETRY_MS ago (e.g. while out of food).
+ *
+ * @function isTeamCheckDue
+ * @returns {boolean}
+ */
+window.isTeamCheckDue = function () {
+    return window.isTeamHpStale() && Date.now() - (window.teamHp.lastFailure || 0) >= window.TEAM_CHECK_RETRY_MS;
+};
+
+/**
+ * Parses the mercenary HP thresholds. Besides the stored array of numbers this accepts a single
+ * number and the comma separated string older versions stored; values that are not numbers are dropped.
+ *
+ * @function parseTeamMinHP
+ * @param {Array<number|string>|number|string} value - settings.teamMinHP or the raw popup entries.
+ * @returns {Array<number>} Fractions of max HP, one per mercenary.
+ */
+window.parseTeamMinHP = function (value) {
+    const values = Array.isArray(value) ? value : String(value == null ? "" : value).split(",");
+    return values
+        .map((entry) => (typeof entry === "number" || String(entry).trim() === "" ? entry : Number(entry)))
+        .filter((entry) => Number.isFinite(entry));
+};
+
+/**
+ * The HP threshold of a team member: settings.minHP for the gladiator (index 0),
+ * otherwise the member's entry in settings.teamMinHP.
+ *
+ * @function getMemberMinHP
+ * @param {number} index - Index among the .charmercsel entries.
+ * @returns {number} Fraction of max HP.
+ */
+window.getMemberMinHP = function (index) {
+    if (index === 0) {
+        return window.settings.minHP;
+    }
+    const thresholds = window.parseTeamMinHP(window.settings.teamMinHP);
+    if (!thresholds.length) {
+        return window.settings.minHP;
+    }
+    return thresholds[Math.min(index - 1, thresholds.length - 1)];
+};
+
+/**
+ * Reads the HP of the currently selected character from the overview stats (#char_leben).
+ *
+ * @function getSelectedCharacterHp
+ * @returns {{ current: number, max: number }}
+ */
+window.getSelectedCharacterHp = function () {
+    const stats = window.parseProfileStats(document);
+    return stats ? { current: stats.hp, max: stats.maxHp } : { current: 0, max: 0 };
+};
+
+/**
+ * Selects a team member and waits until they are the active .charmercsel entry.
+ *
+ * @function switchToCharacter
+ * @param {number} index - Index among the .charmercsel entries (0 is the gladiator).
+ * @returns {Promise<boolean>} Whether the member is now selected.
+ */
+window.switchToCharacter = async function (index) {
+    if (window.getCurrentCharacter() === index) {
+        return true;
+    }
+    const $member = $(".charmercsel").eq(index);
+    if (!$member.length) {
+        console.log(`Team member ${index} not found.`);
+        return false;
+    }
+
+    $member.trigger("click");
+    const deadline = Date.now() + window.INVENTORY_TAB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (window.getCurrentCharacter() === index) {
+            await new Promise((resolve) => setTimeout(resolve, window.INVENTORY_TAB_SETTLE_MS));
+            return true;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    console.log(`Team member ${index} did not become selected in time.`);
+    return false;
+};
+
+/**
+ * Whether a scanned team member is below their HP threshold.
+ *
+ * @param {object} member - { index, hp, maxHp } from scanTeamHp().
+ * @returns {boolean}
+ */
+function isMemberInjured(member) {
+    return Boolean(member.maxHp && member.hp / member.maxHp < window.getMemberMinHP(member.index));
+}
+
+/**
+ * Stores the outcome of a team check: the team stays stale (and is retried later) unless every
+ * member was read and is at or above their threshold.
+ *
+ * @param {Array<object>} members - From scanTeamHp(), with updated HP.
+ * @param {number} teamSize       - The number of .charmercsel entries.
+ * @returns {Promise<void>}
+ */
+function storeTeamCheck(members, teamSize) {
+    const healthy = members.length === teamSize && !members.some(isMemberInjured);
+    window.teamHp = {
+        members,
+        stale: !healthy,
+        lastFailure: healthy ? 0 : Date.now(),
+        updatedAt: new Date().toISOString()
+    };
+    return storeTeamHp();
+}
+
+/**
+ * Selects every .charmercsel entry in turn and reads their HP.
+ *
+ * @function scanTeamHp
+ * @returns {Promise<Array<object>>} The team members that could be selected: { index, name, hp, maxHp }.
+ */
+window.scanTeamHp = async function () {
+    const members = [];
+    const $members = $(".charmercsel");
+    for (let index = 0; index < $members.length; index++) {
+        if (!(await window.switchToCharacter(index))) {
+            continue;
+        }
+        const { current, max } = window.getSelectedCharacterHp();
+        const $member = $members.eq(index);
+        const name = $member.attr("title") || $member.text().trim() || `Member ${index + 1}`;
+        members.push({ index, name, hp: current, maxHp: max });
+    }
+    return members;
+};
+
+/**
+ * Checks the whole team and feeds every member below their threshold, the one furthest below
+ * first, each up to settings.healTargetHP. Switches back to the gladiator afterwards.
+ * The team is only marked as checked once everyone is at or above their threshold.
+ *
+ * @function healTeam
+ * @returns {Promise<void>}
+ */
+window.healTeam = async function () {
+    const members = await window.scanTeamHp();
+    const injured = members
+        .filter(isMemberInjured)
+        .sort((a, b) => (a.hp / a.maxHp - window.getMemberMinHP(a.index)) - (b.hp / b.maxHp - window.getMemberMinHP(b.index)));
+
+    for (const member of injured) {
+        if (!(await window.switchToCharacter(member.index))) {
+            continue;
+        }
+        console.log(`Healing ${member.name}: ${member.hp}/${member.maxHp} HP.`);
+        await window.useOptimalFood(window.getSelectedCharacterHp);
+
+        const { current } = window.getSelectedCharacterHp();
+        member.hp = current;
+        if (isMemberInjured(member)) {
+            console.log(`${member.name} is still below their HP threshold; out of food?`);
+        }
+    }
+
+    await storeTeamCheck(members, $(".charmercsel").length);
+    await window.switchToCharacter(0);
+};
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const GAME_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php";
+
+/**
+ * Loads a page at the given query with the given arenaMode.
+ *
+ * @param {string} query    - e.g. "mod=arena&submod=groupArena"
+ * @param {string} [arenaMode]
+ * @returns {Window}
+ */
+function loadVenue(query, arenaMode = "provinciarum") {
+    return loadExtension({ fixture: "arena.html", url: `${GAME_URL}?${query}&sh=FIXTURE`, settings: { arenaMode } }).window;
+}
+
+test("getArenaScreen tells the local and Provinciarum Arena and Turma screens apart", () => {
+    assert.deepStrictEqual(plain(loadVenue("mod=arena").getArenaScreen()), { type: "arena", venue: "local" });
+    assert.deepStrictEqual(plain(loadVenue("mod=arena&submod=groupArena").getArenaScreen()), { type: "turma", venue: "local" });
+    assert.deepStrictEqual(plain(loadVenue("mod=arena&submod=serverArena&aType=2").getArenaScreen()), { type: "arena", venue: "provinciarum" });
+    assert.deepStrictEqual(plain(loadVenue("mod=arena&submod=serverArena&aType=3").getArenaScreen()), { type: "turma", venue: "provinciarum" });
+});
+
+test("getArenaScreen ignores other screens", () => {
+    assert.equal(loadVenue("mod=overview").getArenaScreen(), null);
+    assert.equal(loadVenue("mod=arena&submod=serverArena&aType=9").getArenaScreen(), null);
+});
+
+test("isArenaVenueEnabled follows settings.arenaMode", () => {
+    const local = loadVenue("mod=arena", "local");
+    assert.equal(local.isArenaVenueEnabled("local"), true);
+    assert.equal(local.isArenaVenueEnabled("provinciarum"), false);
+
+    const provinciarum = loadVenue("mod=arena", "provinciarum");
+    assert.equal(provinciarum.isArenaVenueEnabled("local"), false);
+    assert.equal(provinciarum.isArenaVenueEnabled("provinciarum"), true);
+
+    const alternate = loadVenue("mod=arena", "alternate");
+    assert.equal(alternate.isArenaVenueEnabled("local"), true);
+    assert.equal(alternate.isArenaVenueEnabled("provinciarum"), true);
+});
+
+test("getArenaVenue alternates per combat type from the last venue attacked", async () => {
+    const window = loadVenue("mod=arena", "alternate");
+    const { ARENA, TURMA } = window.COMBAT_TYPES;
+
+    assert.equal(window.getArenaVenue(ARENA), "local");
+    window.recordArenaVenue(ARENA, "local");
+    assert.equal(window.getArenaVenue(ARENA), "provinciarum");
+    assert.equal(window.getArenaVenue(TURMA), "local");
+
+    await window.loadArenaVenues();
+    assert.equal(window.getArenaVenue(ARENA), "provinciarum");
+});
+
+test("getArenaVenueLink opens the screen of each venue", () => {
+    const window = loadVenue("mod=arena");
+    const { ARENA, TURMA } = window.COMBAT_TYPES;
+
+    assert.equal(window.getArenaVenueLink(ARENA, "local"), `${GAME_URL}?mod=arena&sh=FIXTURE`);
+    assert.equal(window.getArenaVenueLink(TURMA, "local"), `${GAME_URL}?mod=arena&submod=groupArena&sh=FIXTURE`);
+    assert.equal(window.getArenaVenueLink(TURMA, "provinciarum"), `${GAME_URL}?mod=arena&submod=serverArena&aType=3&sh=FIXTURE`);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const ARENA_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=arena&submod=serverArena&aType=2&sh=FIXTURE";
+
+/**
+ * Loads the Arena table with some fight history: Brutus was beaten for gold, Titus won twice.
+ *
+ * @param {object} [settings]
+ * @returns {Window}
+ */
+function loadArena(settings = {}) {
+    const { window } = loadExtension({
+        fixture: "arena.html",
+        url: ARENA_URL,
+        settings: { autoScout: false, explorationRate: 0, refreshOpponents: false, ...settings }
+    });
+    const { ARENA } = window.COMBAT_TYPES;
+    const timestamp = new Date().toISOString();
+    for (let i = 0; i < 2; i++) {
+        window.updateFightHistory(ARENA, `brutus-${i}`, "s1-en|11|Brutus", { state: "win", goldWon: 200, timestamp });
+        window.updateFightHistory(ARENA, `titus-${i}`, "s1-en|22|Titus", { state: "loss", goldWon: 0, timestamp });
+    }
+    return window;
+}
+
+/**
+ * The name in the row of a selected `.attack` element.
+ *
+ * @param {jQuery|null} attack
+ * @returns {string|null}
+ */
+function opponentName(attack) {
+    return attack ? attack.closest("tr").find("td:first-child a").text() : null;
+}
+
+test("selectOptimalAttack attacks the best-scoring known opponent", async () => {
+    const window = loadArena();
+
+    const attack = await window.selectOptimalArenaAttack(window.$("#own2"));
+
+    assert.equal(opponentName(attack), "Brutus");
+});
+
+test("selectOptimalAttack skips blacklisted opponents", async () => {
+    const window = loadArena({ opponentBlacklist: ["Brutus"] });
+
+    const attack = await window.selectOptimalArenaAttack(window.$("#own2"));
+
+    assert.equal(opponentName(attack), "Titus");
+});
+
+test("selectOptimalAttack skips opponents we lost to too often", async () => {
+    const window = loadArena({ maxLossesPerOpponent: 2, opponentBlacklist: ["Brutus"] });
+
+    const attack = await window.selectOptimalArenaAttack(window.$("#own2"));
+
+    // Only the unknown Cassius is left, so they are explored despite the exploration rate of 0
+    assert.equal(opponentName(attack), "Cassius");
+});
+
+test("selectOptimalAttack takes revenge first", async () => {
+    const window = loadArena({ preferRevenge: true, revengeExpiryHours: 24 });
+    await window.recordRevengeReport(window.COMBAT_TYPES.ARENA, {
+        reportId: "revenge-1",
+        opponent: "s7-en|99|Cassius",
+        result: { role: "defender", state: "loss", raidedAmount: 300, timestamp: new Date().toISOString() }
+    });
+
+    const attack = await window.selectOptimalArenaAttack(window.$("#own2"));
+
+    assert.equal(opponentName(attack), "Cassius");
+});
+
+test("selectOptimalAttack rejects anything but a jQuery element", async () => {
+    const window = loadArena();
+
+    await assert.rejects(window.selectOptimalArenaAttack(window.document.querySelector("#own2")));
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+/**
+ * Lets the storage callbacks queued by openNextAuctionCategory run.
+ *
+ * @returns {Promise<void>}
+ */
+function flush() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+test("openNextAuctionCategory remembers the category it opens", async () => {
+    const { window, storage } = loadExtension({ fixture: "locations.html", settings: { auctionCategories: "1, 2" } });
+    await window.loadAuctionScan();
+
+    window.openNextAuctionCategory();
+    await flush();
+
+    assert.deepStrictEqual(plain(storage.gladex_auction_scan["s1-en"].queue), [1, 2]);
+    assert.equal(storage.gladex_auction_scan["s1-en"].opened, 1);
+});
+
+test("openNextAuctionCategory skips a category that was opened but never loaded", async () => {
+    // Category 99 was opened, but the game redirected to the overview instead
+    const { window, storage } = loadExtension({
+        fixture: "locations.html",
+        settings: { auctionCategories: "99, 2" },
+        storage: { gladex_auction_scan: { "s1-en": { lastScanAt: 1, queue: [99, 2], opened: 99 } } }
+    });
+    await window.loadAuctionScan();
+
+    window.openNextAuctionCategory();
+    await flush();
+
+    assert.deepStrictEqual(plain(storage.gladex_auction_scan["s1-en"].queue), [2]);
+    assert.equal(storage.gladex_auction_scan["s1-en"].opened, 2);
+});
+
+test("openNextAuctionCategory ends the scan when its last category never loaded", async () => {
+    const { window, storage } = loadExtension({
+        fixture: "locations.html",
+        storage: { gladex_auction_scan: { "s1-en": { lastScanAt: 1, queue: [99], opened: 99 } } }
+    });
+    await window.loadAuctionScan();
+
+    window.openNextAuctionCategory();
+    await flush();
+
+    assert.deepStrictEqual(plain(storage.gladex_auction_scan["s1-en"]), { lastScanAt: 1, queue: [], opened: null, nextPage: null, alerted: [] });
+});
+
+const AUCTION_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=auction&itemType=1&sh=FIXTURE";
+
+test("recordAuctionPage follows the pager to the next page of the category", async () => {
+    const { window, storage } = loadExtension({
+        fixture: "auction.html",
+        url: AUCTION_URL,
+        storage: { gladex_auction_scan: { "s1-en": { lastScanAt: 1, queue: [1, 2], opened: 1 } } }
+    });
+    await window.loadAuctionScan();
+
+    await window.recordAuctionPage();
+
+    const scan = storage.gladex_auction_scan["s1-en"];
+    assert.deepStrictEqual(plain(scan.queue), [1, 2]);
+    assert.equal(scan.nextPage, "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=auction&itemType=1&p=2&sh=FIXTURE");
+    assert.equal(storage.gladex_auction_prices["s1-en"].length, 2);
+
+    window.openNextAuctionCategory();
+    await flush();
+
+    assert.equal(storage.gladex_auction_scan["s1-en"].nextPage, null);
+    assert.equal(storage.gladex_auction_scan["s1-en"].opened, 1);
+});
+
+test("recordAuctionPage moves on to the next category after its last page", async () => {
+    const { window, storage } = loadExtension({
+        fixture: "auction.html",
+        url: AUCTION_URL,
+        storage: { gladex_auction_scan: { "s1-en": { lastScanAt: 1, queue: [1, 2], opened: 1 } } }
+    });
+    window.$(".paging a").remove();
+    await window.loadAuctionScan();
+
+    await window.recordAuctionPage();
+
+    const scan = storage.gladex_auction_scan["s1-en"];
+    assert.deepStrictEqual(plain(scan.queue), [2]);
+    assert.equal(scan.nextPage, null);
+});
+
+test("recordAuctionPage alerts each matching auction once", async () => {
+    const { window, storage } = loadExtension({
+        fixture: "auction.html",
+        url: AUCTION_URL,
+        settings: { auctionAlerts: ["Rubicon = 5000"] }
+    });
+    const sent = [];
+    window.chrome.runtime.sendMessage = (message, callback) => {
+        sent.push(plain(message));
+        callback();
+    };
+    await window.loadAuctionScan();
+
+    await window.recordAuctionPage();
+    await window.recordAuctionPage();
+
+    assert.deepStrictEqual(sent, [{
+        type: "gladex_auction_alerts",
+        items: [{ id: "5001", name: "Rubicon Sword", bid: 3000, buyout: 4000 }]
+    }]);
+    assert.equal(window.$(".auction-alert").length, 1);
+    assert.deepStrictEqual(plain(storage.gladex_auction_scan["s1-en"].alerted), ["5001"]);
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const GAME_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=overview&sh=FIXTURE";
+
+/**
+ * Runs background.js in a sandbox with a stubbed chrome API.
+ *
+ * @param {object} storage - Initial chrome.storage.local content.
+ * @param {string} tabUrl  - The URL the stored tab shows now.
+ * @returns {{ fireAlarm: Function, sendMessage: Function, storage: object, reloads: Array<number>, badge: object }}
+ */
+function loadBackground(storage, tabUrl) {
+    const reloads = [];
+    const badge = { text: "", title: "" };
+    const listeners = {};
+    const event = (name) => ({ addListener: (listener) => { listeners[name] = listener; } });
+    const chrome = {
+        runtime: { lastError: undefined, onInstalled: event("installed"), onStartup: event("startup"), onMessage: event("message") },
+        alarms: { create: () => {}, clear: () => {}, onAlarm: event("alarm") },
+        action: {
+            setBadgeBackgroundColor: () => {},
+            setBadgeText: ({ text }) => { badge.text = text; },
+            setTitle: ({ title }) => { badge.title = title; }
+        },
+        tabs: {
+            get: (tabId, callback) => callback({ id: tabId, url: tabUrl }),
+            reload: (tabId, callback) => {
+                reloads.push(tabId);
+                callback();
+            },
+            sendMessage: (_tabId, _message, callback) => callback()
+        },
+        storage: {
+            local: {
+                get: (keys, callback) => {
+                    const result = {};
+                    (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+                        if (key in storage) result[key] = storage[key];
+                    });
+                    callback(result);
+                },
+                set: (items, callback) => {
+                    Object.assign(storage, items);
+                    callback();
+                },
+                remove: (key, callback) => {
+                    delete storage[key];
+                    callback();
+                }
+            }
+        }
+    };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, "..", "background.js"), "utf8"), { chrome, URL, console: { log: () => {}, error: () => {} } });
+
+    const fireAlarm = () => new Promise((resolve) => {
+        listeners.alarm({ name: "gladex_watchdog" });
+        setTimeout(resolve, 0);
+    });
+    // The last listener registered is the auction alert one
+    const sendMessage = (message) => new Promise((resolve) => {
+        listeners.message(message, {}, () => {});
+        setTimeout(resolve, 0);
+    });
+    return { fireAlarm, sendMessage, storage, reloads, badge };
+}
+
+/**
+ * Storage of a game tab that went quiet ten minutes ago with the expedition pending.
+ *
+ * @returns {object}
+ */
+function staleTabStorage() {
+    return {
+        gladex_background_state: { tabId: 7, lastReportAt: Date.now() - 10 * 60 * 1000 },
+        gladex_cooldown_expiry: { expedition: Date.now() + 60 * 1000 }
+    };
+}
+
+test("the watchdog reloads a game tab that went quiet", async () => {
+    const { fireAlarm, reloads } = loadBackground(staleTabStorage(), GAME_URL);
+
+    await fireAlarm();
+
+    assert.deepStrictEqual(reloads, [7]);
+});
+
+test("the watchdog forgets a tab that no longer shows the game", async () => {
+    const { fireAlarm, storage, reloads } = loadBackground(staleTabStorage(), "https://example.com/");
+
+    await fireAlarm();
+
+    assert.deepStrictEqual(reloads, []);
+    assert.equal(storage.gladex_background_state, undefined);
+});
+
+test("the watchdog leaves the tab alone while every task is disabled", async () => {
+    const storage = { ...staleTabStorage(), gladex_cooldown_expiry: {} };
+    const { fireAlarm, reloads } = loadBackground(storage, GAME_URL);
+
+    await fireAlarm();
+
+    assert.deepStrictEqual(reloads, []);
+});
+
+test("auction alerts add up on the badge, once per auction", async () => {
+    const { sendMessage, storage, badge } = loadBackground({}, GAME_URL);
+    const sword = { id: "5001", name: "Rubicon Sword", bid: 3000, buyout: 4000 };
+    const axe = { id: "7002", name: "Rubicon Axe", bid: 2000, buyout: 0 };
+
+    await sendMessage({ type: "gladex_auction_alerts", items: [sword] });
+    await sendMessage({ type: "gladex_auction_alerts", items: [axe, sword] });
+
+    assert.equal(badge.text, "2");
+    assert.equal(badge.title, "Rubicon Sword: bid 3000, buyout 4000\nRubicon Axe: bid 2000, buyout 0");
+    assert.deepStrictEqual(Object.keys(storage.gladex_auction_alerts), ["5001", "7002"]);
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+/**
+ * A small seeded PRNG (mulberry32), so simulated fights are reproducible.
+ *
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1) like Math.random.
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Loads a page whose Math.random is the given generator, with our stats read from the
+ * profile fixture (Brutus, level 24).
+ *
+ * @param {Function} random
+ * @param {object} [settings]
+ * @returns {{ window: Window, profile: object }}
+ */
+function loadSimulator(random, settings = {}) {
+    const { window } = loadExtension({ fixture: "profile.html", settings });
+    window.Math.random = random;
+    return { window, profile: plain(window.parseProfileStats(window.document)) };
+}
+
+/**
+ * A fighter that always hits for exactly `damage` without criticals, blocks or double hits.
+ *
+ * @param {number} hp
+ * @param {number} damage
+ * @returns {object}
+ */
+function plainFighter(hp, damage) {
+    return {
+        level: 10, strength: 0, dexterity: 100, agility: 0, charisma: 0, intelligence: 0, armour: 0,
+        damageMin: damage, damageMax: damage, hp, maxHp: hp, critChance: 0, blockChance: 0
+    };
+}
+
+test("simulateFight counts the damage the opponent dealt as our HP lost", () => {
+    const { window } = loadSimulator(() => 0.5);
+
+    // We strike first: 35 HP falls in four hits, while they land three hits of 10 on us
+    const fight = plain(window.simulateFight(plainFighter(100, 10), plainFighter(35, 10)));
+
+    assert.deepStrictEqual(fight, { won: true, hpLost: 30, rounds: 4 });
+});
+
+test("simulateFight decides on damage dealt once the round limit is reached", () => {
+    const { window } = loadSimulator(() => 0.5);
+
+    const fight = window.simulateFight(plainFighter(1000, 10), plainFighter(1000, 5));
+
+    assert.equal(fight.rounds, window.SIM_MAX_ROUNDS);
+    assert.equal(fight.won, true);
+    assert.equal(fight.hpLost, 5 * window.SIM_MAX_ROUNDS);
+});
+
+test("simulateFights averages the wins and HP lost over settings.simulationRuns fights", () => {
+    const { window } = loadSimulator(Math.random, { simulationRuns: 4 });
+    let calls = 0;
+    window.simulateFight = () => {
+        calls++;
+        return { won: calls % 2 === 0, hpLost: calls % 2 === 0 ? 10 : 20, rounds: 3 };
+    };
+
+    assert.deepStrictEqual(plain(window.simulateFights({}, {})), { pWin: 0.5, expectedHpLost: 15, runs: 4 });
+});
+
+test("simulateFights gives a clearly stronger profile a high win chance at little HP cost", () => {
+    const { window, profile } = loadSimulator(seededRandom(42));
+    const weaker = { ...profile, level: 18, strength: 60, dexterity: 50, agility: 40, armour: 400, damageMin: 15, damageMax: 22, hp: 700, maxHp: 700 };
+
+    const result = window.simulateFights(profile, weaker, 500);
+
+    assert.ok(result.pWin > 0.9, `pWin ${result.pWin}`);
+    assert.ok(result.expectedHpLost > 0 && result.expectedHpLost < profile.hp / 2, `HP lost ${result.expectedHpLost}`);
+});
+
+test("simulateFights gives the weaker side a low win chance and a high HP cost", () => {
+    const { window, profile } = loadSimulator(seededRandom(7));
+    const weaker = { ...profile, level: 18, strength: 60, dexterity: 50, agility: 40, armour: 400, damageMin: 15, damageMax: 22, hp: 700, maxHp: 700 };
+
+    const result = window.simulateFights(weaker, profile, 500);
+
+    assert.ok(result.pWin < 0.1, `pWin ${result.pWin}`);
+    assert.ok(result.expectedHpLost > weaker.hp / 2, `HP lost ${result.expectedHpLost}`);
+});
+
+test("simulateFights is reproducible with the same seed", () => {
+    const { window: first, profile } = loadSimulator(seededRandom(1234));
+    const { window: second } = loadSimulator(seededRandom(1234));
+    const opponent = { ...profile, strength: 100, damageMin: 30, damageMax: 45 };
+
+    assert.deepStrictEqual(plain(first.simulateFights(profile, opponent, 200)), plain(second.simulateFights(profile, opponent, 200)));
+});
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const DUNGEON_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=dungeon&loc=0&sh=FIXTURE";
+
+test("getPotentialOpponents collects the map labels and clickable images", () => {
+    const { window } = loadExtension({ fixture: "dungeon.html", url: DUNGEON_URL });
+
+    assert.equal(window.getPotentialOpponents().length, 5);
+});
+
+test("selectDungeonOpponentFast picks the highest fight number", () => {
+    const { window } = loadExtension({ fixture: "dungeon.html", url: DUNGEON_URL });
+
+    const opponent = window.selectDungeonOpponentFast();
+
+    assert.equal(window.extractMatchNumber(opponent), 14);
+});
+
+test("selectDungeonOpponentSlow picks the lowest fight number, preferring the label", () => {
+    const { window } = loadExtension({ fixture: "dungeon.html", url: DUNGEON_URL });
+
+    const opponent = window.selectDungeonOpponentSlow();
+
+    assert.equal(window.extractMatchNumber(opponent), 9);
+    assert.equal(opponent.nodeName, "DIV");
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const REPORT_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=reports&t=1&reportId=701&sh=FIXTURE";
+
+/**
+ * Loads the dungeon report (a won fight against the Goblin Chief) with a run in progress.
+ *
+ * @param {object} [pendingFight] - Extra fields of the pending fight.
+ * @returns {{ window: Window, storage: object }}
+ */
+function loadDungeonReport(pendingFight = {}) {
+    return loadExtension({
+        fixture: "dungeon-report.html",
+        url: REPORT_URL,
+        storage: {
+            gladex_pending_fight: { type: "dungeon", dungeonLevel: 4, hpBefore: 700, maxHp: 1000, timestamp: Date.now(), ...pendingFight },
+            gladex_dungeon_runs: {
+                current: {
+                    dungeonLevel: 4, difficulty: "normal", startedAt: "2026-10-19T12:00:00.000Z",
+                    fights: 2, wins: 2, losses: 0, goldWon: 100, xpGained: 10, items: []
+                },
+                runs: []
+            }
+        }
+    });
+}
+
+test("parseMonsterReport reads the enemy, gold, XP and loot of a dungeon fight", () => {
+    const { window } = loadDungeonReport();
+
+    const report = plain(window.parseMonsterReport());
+
+    assert.equal(report.reportId, "701");
+    assert.equal(report.monster, "Goblin Chief");
+    assert.equal(report.result.goldWon, 255);
+    assert.equal(report.result.xpGained, 14);
+    assert.deepStrictEqual(report.result.items, ["Goblin Axe", "Small Healing Potion"]);
+});
+
+test("recordDungeonReport stores the fight under its dungeon level and adds it to the run", async () => {
+    const { window, storage } = loadDungeonReport();
+
+    await window.recordDungeonReport();
+
+    const record = plain(window.getOpponentRecord(window.COMBAT_TYPES.DUNGEON, "4:Goblin Chief"));
+    assert.equal(record.wins, 1);
+    assert.equal(record.hpLost, 150);
+    const run = storage.gladex_dungeon_runs.current;
+    assert.equal(run.fights, 3);
+    assert.equal(run.goldWon, 355);
+    assert.deepStrictEqual(run.items, ["Goblin Axe", "Small Healing Potion"]);
+});
+
+test("recordDungeonReport closes the run when the boss is beaten", async () => {
+    const { window, storage } = loadDungeonReport({ isBoss: true });
+
+    await window.recordDungeonReport();
+
+    assert.equal(storage.gladex_dungeon_runs.current, null);
+    assert.equal(storage.gladex_dungeon_runs.runs.length, 1);
+    assert.equal(storage.gladex_dungeon_runs.runs[0].endReason, "boss");
+    assert.equal(storage.gladex_dungeon_history.reports["701"].isBoss, true);
+});
+
+test("recordDungeonReport adds a report to the run only the first time it is opened", async () => {
+    const { window, storage } = loadDungeonReport();
+
+    await window.recordDungeonReport();
+    await window.recordDungeonReport();
+
+    assert.equal(storage.gladex_dungeon_runs.current.fights, 3);
+});
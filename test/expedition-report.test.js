@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const REPORT_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=reports&t=0&reportId=501&sh=FIXTURE";
+
+test("parseMonsterReport reads the monster, gold, XP and loot of a won expedition fight", () => {
+    const { window } = loadExtension({ fixture: "expedition-report.html", url: REPORT_URL });
+
+    const report = plain(window.parseMonsterReport());
+
+    assert.equal(report.reportId, "501");
+    assert.equal(report.monster, "Wolf");
+    assert.equal(report.result.state, "win");
+    assert.equal(report.result.goldWon, 90);
+    assert.equal(report.result.xpGained, 6);
+    assert.deepStrictEqual(report.result.items, ["Wolf Pelt"]);
+});
+
+test("parseMonsterReport counts a fight someone else won as a loss without rewards", () => {
+    const { window } = loadExtension({ fixture: "expedition-report.html", url: REPORT_URL });
+    window.$("#reportHeader td:nth-of-type(2)").text("Winner: Wolf");
+
+    const report = plain(window.parseMonsterReport());
+
+    assert.equal(report.result.state, "loss");
+    assert.equal(report.result.goldWon, 0);
+    assert.deepStrictEqual(report.result.items, []);
+});
+
+test("recordExpeditionReport stores the fight under its location and monster with the HP lost", async () => {
+    const { window, storage } = loadExtension({
+        fixture: "expedition-report.html",
+        url: REPORT_URL,
+        storage: {
+            gladex_pending_fight: { type: "expedition", location: 2, hpBefore: 800, maxHp: 1000, timestamp: Date.now() }
+        }
+    });
+
+    await window.recordExpeditionReport();
+
+    const record = plain(window.getOpponentRecord(window.COMBAT_TYPES.EXPEDITION, "2:Wolf"));
+    assert.equal(record.wins, 1);
+    assert.equal(record.goldWon, 90);
+    assert.equal(record.hpLost, 40);
+    assert.equal(storage.gladex_pending_fight, undefined);
+    assert.equal(storage.gladex_expedition_history.reports["501"].location, 2);
+});
+
+test("recordExpeditionReport falls back to the configured location without a pending fight", async () => {
+    const { window } = loadExtension({ fixture: "expedition-report.html", url: REPORT_URL, settings: { expeditionLocation: 3 } });
+
+    await window.recordExpeditionReport();
+
+    const record = plain(window.getOpponentRecord(window.COMBAT_TYPES.EXPEDITION, "3:Wolf"));
+    assert.equal(record.attackCount, 1);
+    assert.equal(record.hpSamples, 0);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const OPPONENT = "s1-en|22|Titus";
+
+/**
+ * Loads a page whose Arena history comes from storage.
+ *
+ * @param {object} [storage]
+ * @returns {Promise<{ window: Window, storage: object }>}
+ */
+async function loadHistory(storage = {}) {
+    const page = loadExtension({ fixture: "locations.html", storage });
+    await page.window.loadFightHistory(page.window.COMBAT_TYPES.ARENA);
+    return page;
+}
+
+test("updateFightHistory counts fights where we were attacked as defences", async () => {
+    const { window } = await loadHistory();
+    const { ARENA } = window.COMBAT_TYPES;
+
+    window.updateFightHistory(ARENA, "1", OPPONENT, { state: "win", goldWon: 200, role: "attacker" });
+    window.updateFightHistory(ARENA, "2", OPPONENT, { state: "loss", goldWon: 0, role: "defender" });
+    window.updateFightHistory(ARENA, "3", OPPONENT, { state: "win", goldWon: 50, role: "defender" });
+
+    const record = plain(window.getOpponentRecord(ARENA, OPPONENT));
+    assert.equal(record.attackCount, 1);
+    assert.equal(record.wins, 1);
+    assert.equal(record.losses, 0);
+    assert.equal(record.goldWon, 200);
+    assert.equal(record.defenceCount, 2);
+    assert.equal(record.defenceWins, 1);
+    assert.equal(record.defenceLosses, 1);
+});
+
+test("queryFightHistory filters by role", async () => {
+    const { window } = await loadHistory();
+    const { ARENA } = window.COMBAT_TYPES;
+    window.updateFightHistory(ARENA, "1", OPPONENT, { state: "win", goldWon: 200, role: "attacker" });
+    window.updateFightHistory(ARENA, "2", OPPONENT, { state: "loss", goldWon: 0, role: "defender" });
+
+    assert.deepStrictEqual(plain(window.queryFightHistory({ type: ARENA, role: "attacker" }).map((report) => report.reportId)), ["1"]);
+    assert.deepStrictEqual(plain(window.queryFightHistory({ type: ARENA, role: "defender" }).map((report) => report.reportId)), ["2"]);
+});
+
+test("loadFightHistory moves defences out of the attack aggregates of an older history", async () => {
+    const timestamp = "2026-10-01T12:00:00.000Z";
+    const { window } = await loadHistory({
+        gladex_arena_history: {
+            keyVersion: 2,
+            reports: {
+                1: { opponent: OPPONENT, state: "win", goldWon: 200, xpGained: 4, hpLost: 30, role: "attacker", timestamp },
+                2: { opponent: OPPONENT, state: "loss", goldWon: 0, xpGained: 0, hpLost: null, role: "defender", timestamp }
+            },
+            opponents: {
+                [OPPONENT]: {
+                    reportIds: ["1", "2"], wins: 1, losses: 1, draws: 0, goldWon: 200, xpGained: 4,
+                    hpLost: 30, hpSamples: 1, attackCount: 2, lastFightAt: timestamp
+                }
+            }
+        }
+    });
+
+    const record = plain(window.getOpponentRecord(window.COMBAT_TYPES.ARENA, OPPONENT));
+    assert.equal(record.attackCount, 1);
+    assert.equal(record.losses, 0);
+    assert.equal(record.hpSamples, 1);
+    assert.equal(record.defenceCount, 1);
+    assert.equal(record.defenceLosses, 1);
+});
+
+test("getRecordAverages derives the per-fight averages of the attacks", async () => {
+    const { window } = await loadHistory();
+    const { EXPEDITION } = window.COMBAT_TYPES;
+    window.updateFightHistory(EXPEDITION, "1", "3:Wolf", { state: "win", goldWon: 90, xpGained: 6, hpLost: 40 });
+    window.updateFightHistory(EXPEDITION, "2", "3:Wolf", { state: "loss", goldWon: 0, xpGained: 0, hpLost: null });
+
+    assert.deepStrictEqual(plain(window.getRecordAverages(window.getOpponentRecord(EXPEDITION, "3:Wolf"))), {
+        winRate: 0.5,
+        goldPerWin: 90,
+        goldPerFight: 45,
+        xpPerFight: 3,
+        hpLostPerFight: 40
+    });
+});
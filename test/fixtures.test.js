@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const REPORT_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=reports&t=3&reportId=123&sh=0123abcd";
+
+test("captureFixture masks the session hash", async () => {
+    const { window, storage } = loadExtension({ fixture: "turma-report.html", url: REPORT_URL });
+
+    const name = await window.captureFixture();
+
+    assert.equal(name, "reports-t3");
+    assert.equal(storage.gladex_fixtures[name].url, REPORT_URL.replace("0123abcd", "FIXTURE"));
+});
+
+test("captureFixture keeps only the most recent captures", async () => {
+    const fixtures = {};
+    for (let i = 0; i < 20; i++) {
+        fixtures[`old-${i}`] = { html: "", url: "", capturedAt: new Date(2020, 0, i + 1).toISOString() };
+    }
+    const { window, storage } = loadExtension({
+        fixture: "turma-report.html",
+        url: REPORT_URL,
+        storage: { gladex_fixtures: fixtures }
+    });
+
+    await window.captureFixture();
+
+    const names = Object.keys(storage.gladex_fixtures);
+    assert.equal(names.length, window.FIXTURE_LIMIT);
+    assert.ok(names.includes("reports-t3"));
+    assert.ok(names.includes("old-19"));
+    assert.ok(!names.includes("old-0"));
+});
+
+test("captureFixture skips oversized pages", async () => {
+    const { window, storage } = loadExtension({ fixture: "turma-report.html", url: REPORT_URL });
+    window.FIXTURE_MAX_SIZE = 100;
+
+    assert.equal(await window.captureFixture(), null);
+    assert.equal(storage.gladex_fixtures, undefined);
+});
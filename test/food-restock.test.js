@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+test("restockFood frees the cell of a purchase that did not go through", async () => {
+    const { window } = loadExtension({
+        fixture: "general-store.html",
+        settings: { autoBuyFood: true, reserveGold: 0, foodBudget: 0 }
+    });
+    window.INVENTORY_TAB_TIMEOUT_MS = 200;
+    window.openProfile = () => {};
+
+    // Only one inventory cell is free; the best offer can't be bought, the next one can
+    const bought = [];
+    let dragged = null;
+    window.document.addEventListener("mousedown", (event) => {
+        dragged = event.target;
+    });
+    window.document.querySelector("#inv").addEventListener("mouseup", () => {
+        if (dragged.getAttribute("data-item-id") === "sold-out") return;
+        bought.push(dragged.getAttribute("data-item-id"));
+        window.$("#sstat_gold_val").text(window.getCurrentGold() - Number(dragged.getAttribute("data-price-gold")));
+    });
+
+    assert.equal(await window.restockFood(), 1);
+    assert.deepStrictEqual(bought, ["bread"]);
+    assert.equal(window.getCurrentGold(), 990);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const GUILD_BANK_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=guildBankingHouse&sh=FIXTURE";
+
+/**
+ * Loads the guild bank with 12.000 gold, a threshold of 5.000 and a reserve of 1.000.
+ * The donation form is not submitted; its amount is read back instead.
+ *
+ * @param {object} [storage]
+ * @returns {{ window: Window, storage: object }}
+ */
+function loadGuildBank(storage = {}) {
+    const page = loadExtension({
+        fixture: "guild-bank.html",
+        url: GUILD_BANK_URL,
+        settings: { protectGold: true, goldSink: "guildBank", goldProtectThreshold: 5000, reserveGold: 1000 },
+        storage
+    });
+    page.window.$("form").on("submit", (event) => event.preventDefault());
+    return page;
+}
+
+test("runGoldProtection donates the gold above the threshold and waits for the next page", async () => {
+    const { window, storage } = loadGuildBank();
+
+    await window.runGoldProtection();
+
+    assert.equal(window.$('input[name="donation"]').val(), "7000");
+    assert.deepStrictEqual(storage.gladex_gold_protection["s1-en"].pendingSpend, {
+        amount: 7000,
+        goldBefore: 12000,
+        sink: "guildBank"
+    });
+    assert.deepStrictEqual(storage.gladex_gold_protection["s1-en"].days, {});
+});
+
+test("verifyPendingGoldSpend counts a spend once our gold went down", async () => {
+    const day = new Date().toISOString().slice(0, 10);
+    const { window, storage } = loadGuildBank({
+        gladex_gold_protection: {
+            "s1-en": { lastFailure: 0, days: {}, pendingSpend: { amount: 7000, goldBefore: 19000, sink: "guildBank" } }
+        }
+    });
+    await window.loadGoldProtection();
+
+    await window.verifyPendingGoldSpend();
+
+    assert.equal(storage.gladex_gold_protection["s1-en"].days[day], 7000);
+    assert.equal(storage.gladex_gold_protection["s1-en"].pendingSpend, null);
+});
+
+test("verifyPendingGoldSpend treats a spend that did not go through as a sink failure", async () => {
+    const { window, storage } = loadGuildBank({
+        gladex_gold_protection: {
+            "s1-en": { lastFailure: 0, days: {}, pendingSpend: { amount: 7000, goldBefore: 12000, sink: "guildBank" } }
+        }
+    });
+    await window.loadGoldProtection();
+
+    await window.verifyPendingGoldSpend();
+
+    assert.deepStrictEqual(storage.gladex_gold_protection["s1-en"].days, {});
+    assert.ok(storage.gladex_gold_protection["s1-en"].lastFailure > 0);
+    assert.equal(window.isGoldProtectionDue(), false);
+});
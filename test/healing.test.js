@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+/**
+ * Makes dropping food on the avatar heal like the game does, and records what was eaten.
+ *
+ * @param {Window} window
+ * @returns {Array<number>} The healing of each eaten item, in order.
+ */
+function serveFood(window) {
+    const eaten = [];
+    let dragged = null;
+    window.document.addEventListener("mousedown", (event) => {
+        dragged = event.target;
+    });
+    window.document.querySelector("#avatar .ui-droppable").addEventListener("mouseup", () => {
+        const healing = window.extractHealingValue(dragged.getAttribute("data-tooltip"));
+        const $bar = window.$("#header_values_hp_bar");
+        const max = Number($bar.attr("data-max-value"));
+        $bar.attr("data-value", Math.min(max, Number($bar.attr("data-value")) + healing));
+        dragged.remove();
+        eaten.push(healing);
+    });
+    return eaten;
+}
+
+test("useOptimalFood eats the combination with the least over-heal", async () => {
+    const { window } = loadExtension({ fixture: "overview-food.html", settings: { healTargetHP: 1 } });
+    window.INVENTORY_TAB_SETTLE_MS = 0;
+    const eaten = serveFood(window);
+
+    await window.useOptimalFood();
+
+    assert.deepStrictEqual(eaten, [30, 20]);
+    assert.deepStrictEqual({ ...window.getHealthPoints() }, { current: 100, max: 100 });
+});
+
+test("useOptimalFood leaves the food alone at the healing target", async () => {
+    const { window } = loadExtension({ fixture: "overview-food.html", settings: { healTargetHP: 0.5 } });
+    const eaten = serveFood(window);
+
+    await window.useOptimalFood();
+
+    assert.deepStrictEqual(eaten, []);
+});
+
+test("useOptimalFood asks for a restock when there is no food", async () => {
+    const { window, storage } = loadExtension({
+        fixture: "overview-food.html",
+        settings: { healTargetHP: 1, autoBuyFood: true }
+    });
+    window.INVENTORY_TAB_SETTLE_MS = 0;
+    window.$('[data-content-type="64"]').remove();
+
+    await window.useOptimalFood();
+
+    assert.equal(storage.gladex_food_restock["s1-en"].pending, true);
+});
@@ -0,0 +1,120 @@
+/**
+ * load-extension.js
+ *
+ * Loads a page fixture into jsdom and runs the content scripts on it the way the browser would:
+ * jQuery first, then every content script from manifest.json in order. main-logic.js is left out,
+ * so nothing runs on page load; the tests call the functions they need themselves.
+ * chrome.storage.local is replaced by an in-memory store.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Scripts never loaded by the tests: main-logic.js starts the extension on page load.
+ */
+const SKIPPED_SCRIPTS = ["main-logic.js"];
+
+/**
+ * Default page URL: an English server, so the "en" locale pack is picked.
+ */
+const DEFAULT_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=overview&sh=FIXTURE";
+
+/**
+ * Builds a chrome API stub whose storage.local keeps everything in `store`.
+ *
+ * @param {object} store - Initial storage content; updated by set().
+ * @returns {object}
+ */
+function createChromeStub(store) {
+    const pick = (keys) => {
+        if (keys === null || keys === undefined) {
+            return { ...store };
+        }
+        const result = {};
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+            if (key in store) {
+                result[key] = JSON.parse(JSON.stringify(store[key]));
+            }
+        });
+        return result;
+    };
+
+    return {
+        runtime: {
+            id: "gladex-test",
+            lastError: undefined,
+            sendMessage: (_message, callback) => callback && callback(),
+            onMessage: { addListener: () => {} },
+        },
+        storage: {
+            local: {
+                get: (keys, callback) => callback(pick(keys)),
+                set: (items, callback) => {
+                    Object.assign(store, JSON.parse(JSON.stringify(items)));
+                    if (callback) callback();
+                },
+                remove: (keys, callback) => {
+                    (Array.isArray(keys) ? keys : [keys]).forEach((key) => delete store[key]);
+                    if (callback) callback();
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Reads a fixture from test/fixtures.
+ *
+ * @param {string} name - e.g. "turma-report.html"
+ * @returns {string}
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+/**
+ * Loads a fixture page with the extension's content scripts.
+ *
+ * @param {object} options
+ * @param {string} options.fixture      - File name in test/fixtures.
+ * @param {string} [options.url]        - The page URL (server, mod and query parameters).
+ * @param {object} [options.settings]   - Overrides of constants.js default_settings.
+ * @param {string} [options.playerName] - Our own name, as detected on the overview page.
+ * @param {object} [options.storage]    - Initial chrome.storage.local content.
+ * @returns {{ window: Window, storage: object }}
+ */
+function loadExtension({ fixture, url = DEFAULT_URL, settings = {}, playerName = "Maximus", storage = {} }) {
+    // The content scripts log every step; keep the test output readable
+    const virtualConsole = new VirtualConsole();
+    const dom = new JSDOM(readFixture(fixture), { url, runScripts: "outside-only", pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    window.chrome = createChromeStub(storage);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+    manifest.content_scripts[0].js
+        .filter((script) => !SKIPPED_SCRIPTS.includes(script))
+        .forEach((script) => window.eval(fs.readFileSync(path.join(ROOT, script), "utf8")));
+
+    window.settings = { ...window.default_settings, ...settings };
+    const { serverId, country } = window.getServerInfo();
+    window.playerIdentity = { name: playerName, playerId: null, serverId, country };
+    return { window, storage };
+}
+
+/**
+ * Copies a value from the page into this realm, so assert.deepStrictEqual can compare it
+ * (objects created by the content scripts have the page's Object prototype).
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadExtension, readFixture, plain };
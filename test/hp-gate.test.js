@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+/**
+ * Loads a page at `current`/100 HP with only expeditions enabled and off cooldown,
+ * where expeditions have cost 40 HP per fight so far.
+ *
+ * @param {number} current
+ * @param {object} [settings]
+ * @returns {Window}
+ */
+function loadGate(current, settings = {}) {
+    const { window } = loadExtension({
+        fixture: "overview-food.html",
+        settings: {
+            autoExpedition: true, autoDungeon: false, autoArena: false, autoTurma: false,
+            hpFloorExpedition: 0.3, healTargetHP: 0.9, ...settings
+        }
+    });
+    window.$("#header_values_hp_bar").attr("data-value", current);
+    window.getTimeUntilExpedition = () => 0;
+    window.updateFightHistory(window.COMBAT_TYPES.EXPEDITION, "1", "1|Rat", { state: "win", hpLost: 40 });
+    return window;
+}
+
+test("isHealNeededForFights heals when the target HP makes the fight safe", () => {
+    const window = loadGate(50);
+
+    assert.equal(window.isFightHpSafe(window.COMBAT_TYPES.EXPEDITION), false);
+    assert.equal(window.isHealNeededForFights(), true);
+});
+
+test("isHealNeededForFights does not heal at the healing target", () => {
+    const window = loadGate(90, { hpFloorExpedition: 0.6 });
+
+    assert.equal(window.isFightHpSafe(window.COMBAT_TYPES.EXPEDITION), false);
+    assert.equal(window.isHealNeededForFights(), false);
+});
+
+test("isHealNeededForFights skips fights that stay unsafe after healing", () => {
+    const window = loadGate(50, { hpFloorExpedition: 0.6 });
+
+    assert.equal(window.isHealNeededForFights(), false);
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+/**
+ * Loads the overview with only expeditions (600 s away) and gold protection enabled, and
+ * regeneration reaching the minimum HP in 300 s.
+ *
+ * @param {boolean} goldProtectionDue
+ * @returns {Window}
+ */
+function loadScheduler(goldProtectionDue) {
+    const { window } = loadExtension({
+        fixture: "overview-food.html",
+        settings: {
+            waitForRegen: true, autoHeal: true, autoExpedition: true, protectGold: true,
+            autoDungeon: false, autoArena: false, autoTurma: false, auctionScan: false
+        }
+    });
+    window.getTimeUntilExpedition = () => 600;
+    window.isGoldProtectionDue = () => goldProtectionDue;
+    window.getTimeToRegenerate = () => 300;
+    return window;
+}
+
+test("canWaitForRegen ignores tasks that are off cooldown but not ready", () => {
+    const window = loadScheduler(false);
+
+    assert.equal(window.canWaitForRegen(), true);
+});
+
+test("canWaitForRegen does not wait when a task is ready now", () => {
+    const window = loadScheduler(true);
+
+    assert.equal(window.canWaitForRegen(), false);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+/**
+ * The overview page URL on a server of the given language.
+ *
+ * @param {string} country - e.g. "de"
+ * @returns {string}
+ */
+function serverUrl(country) {
+    return `https://s1-${country}.gladiatus.gameforge.com/game/index.php?mod=overview&sh=FIXTURE`;
+}
+
+test("every locale pack covers every key of the English pack", () => {
+    const { window } = loadExtension({ fixture: "locations.html" });
+    const keys = Object.keys(window.LOCALE_PACKS.en);
+
+    Object.entries(window.LOCALE_PACKS).forEach(([code, pack]) => {
+        assert.deepStrictEqual(keys.filter((key) => pack[key] === undefined), [], `"${code}" is missing keys`);
+    });
+});
+
+test("detectLocale picks the pack of the server's language or its alias", () => {
+    assert.equal(loadExtension({ fixture: "locations.html", url: serverUrl("en") }).window.activeLocale, "en");
+    assert.equal(loadExtension({ fixture: "locations.html", url: serverUrl("us") }).window.activeLocale, "en");
+});
+
+test("the pack of an aliased server parses that server's reports", () => {
+    const { window } = loadExtension({
+        fixture: "turma-report.html",
+        url: "https://s1-us.gladiatus.gameforge.com/game/index.php?mod=reports&t=3&reportId=123&sh=FIXTURE"
+    });
+
+    const report = plain(window.parseTurmaReport());
+
+    assert.equal(report.result.state, "win");
+    assert.equal(report.result.goldWon, 120);
+});
+
+test("languages without a pack fall back to English", () => {
+    const { window } = loadExtension({ fixture: "locations.html", url: serverUrl("de") });
+
+    assert.equal(window.activeLocale, "en");
+    assert.equal(window.getLocaleString("goToArena"), "go to the arena");
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const EXPEDITION_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=location&loc=1&sh=FIXTURE";
+
+/**
+ * Loads the expedition page with our stats as last seen on a full-HP overview page.
+ *
+ * @param {object} [settings]
+ * @returns {Window}
+ */
+function loadExpedition(settings = {}) {
+    const { window } = loadExtension({ fixture: "expedition.html", url: EXPEDITION_URL, settings });
+    window.ownStats = {
+        level: 30, strength: 100, dexterity: 100, agility: 100, constitution: 100, charisma: 100,
+        intelligence: 100, armour: 500, damageMin: 50, damageMax: 60, hp: 1000, maxHp: 1000
+    };
+    return window;
+}
+
+/**
+ * The name of the expedition target whose radio is checked.
+ *
+ * @param {Window} window
+ * @returns {string}
+ */
+function checkedTarget(window) {
+    return window.$(".expedition-selector:checked").closest(".expedition_box").find(".expedition_name").text();
+}
+
+test("renderExpeditionSelection selects the stored target without the simulator", () => {
+    const window = loadExpedition({ useSimulator: false, expeditionLevel: 1 });
+
+    window.renderExpeditionSelection();
+
+    assert.equal(checkedTarget(window), "Titan");
+    assert.equal(window.$(".expedition-suggested").length, 0);
+});
+
+test("renderExpeditionSelection selects the simulated best target with the simulator", () => {
+    const window = loadExpedition({ useSimulator: true, expeditionLevel: 1 });
+
+    window.renderExpeditionSelection();
+
+    assert.equal(checkedTarget(window), "Rat");
+    assert.equal(window.$(".expedition-suggested .expedition_name").text(), "Rat");
+    // The stored choice is left alone
+    assert.equal(window.settings.expeditionLevel, 1);
+});
+
+test("getCurrentOwnStats takes the HP from the header bar", () => {
+    const window = loadExpedition();
+
+    const stats = window.getCurrentOwnStats();
+
+    assert.equal(stats.hp, 300);
+    assert.equal(stats.maxHp, 1000);
+    assert.equal(stats.strength, 100);
+    assert.equal(window.ownStats.hp, 1000);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const MEMBER_LIST_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=guild&submod=memberList&sh=FIXTURE";
+
+/**
+ * Loads a page with the given policy settings and Lucius as a guild member.
+ *
+ * @param {object} [settings]
+ * @returns {Window}
+ */
+function loadPolicy(settings = {}) {
+    const { window } = loadExtension({
+        fixture: "locations.html",
+        settings: { opponentBlacklist: [], opponentWhitelist: [], protectGuildMembers: true, maxLossesPerOpponent: 2, ...settings }
+    });
+    window.guildMembers = ["Lucius"];
+    return window;
+}
+
+/**
+ * @param {Window} window
+ * @param {string} opponent
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function check(window, opponent) {
+    return plain(window.isOpponentAllowed(window.COMBAT_TYPES.ARENA, opponent));
+}
+
+test("isOpponentAllowed never allows blacklisted names, not even whitelisted ones", () => {
+    const window = loadPolicy({ opponentBlacklist: ["brutus"], opponentWhitelist: ["Brutus"] });
+
+    assert.deepStrictEqual(check(window, "s1-en|11|Brutus"), { allowed: false, reason: "blacklisted" });
+});
+
+test("isOpponentAllowed protects guild members on our own server only", () => {
+    const window = loadPolicy();
+
+    assert.deepStrictEqual(check(window, "s1-en|1002|Lucius"), { allowed: false, reason: "guild member" });
+    assert.deepStrictEqual(check(window, "s7-en|55|Lucius"), { allowed: true, reason: null });
+    assert.equal(check(loadPolicy({ protectGuildMembers: false }), "s1-en|1002|Lucius").allowed, true);
+});
+
+test("isOpponentAllowed stops attacking after maxLossesPerOpponent lost attacks", () => {
+    const window = loadPolicy();
+    const { ARENA } = window.COMBAT_TYPES;
+    window.updateFightHistory(ARENA, "1", "s1-en|22|Titus", { state: "loss", role: "attacker" });
+    assert.equal(check(window, "s1-en|22|Titus").allowed, true);
+
+    window.updateFightHistory(ARENA, "2", "s1-en|22|Titus", { state: "loss", role: "attacker" });
+    assert.deepStrictEqual(check(window, "s1-en|22|Titus"), { allowed: false, reason: "lost 2 times" });
+});
+
+test("isOpponentAllowed does not count being raided as a lost attack", () => {
+    const window = loadPolicy();
+    const { ARENA } = window.COMBAT_TYPES;
+    for (let i = 0; i < 3; i++) {
+        window.updateFightHistory(ARENA, `raid-${i}`, "s1-en|22|Titus", { state: "loss", role: "defender" });
+    }
+
+    assert.deepStrictEqual(check(window, "s1-en|22|Titus"), { allowed: true, reason: null });
+});
+
+test("the whitelist overrides guild protection and the loss limit", () => {
+    const window = loadPolicy({ opponentWhitelist: ["Lucius", "Titus"] });
+    const { ARENA } = window.COMBAT_TYPES;
+    window.updateFightHistory(ARENA, "1", "s1-en|22|Titus", { state: "loss", role: "attacker" });
+    window.updateFightHistory(ARENA, "2", "s1-en|22|Titus", { state: "loss", role: "attacker" });
+
+    assert.equal(check(window, "s1-en|1002|Lucius").allowed, true);
+    assert.equal(check(window, "s1-en|22|Titus").allowed, true);
+});
+
+test("refreshGuildMembers reads and stores the names on the member list", () => {
+    const { window, storage } = loadExtension({ fixture: "guild-members.html", url: MEMBER_LIST_URL });
+
+    window.refreshGuildMembers();
+
+    assert.deepStrictEqual(plain(window.guildMembers), ["Maximus", "Lucius", "Octavia"]);
+    assert.deepStrictEqual(storage.gladex_guild_members["s1-en"].names, ["Maximus", "Lucius", "Octavia"]);
+});
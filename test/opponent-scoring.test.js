@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const OPPONENT = "s1-en|22|Titus";
+const DAY_MS = 86400000;
+
+/**
+ * Loads a page with Titus's Arena fights: { state, goldWon, role, daysAgo } each.
+ *
+ * @param {Array<object>} fights
+ * @param {object} [settings]
+ * @returns {Window}
+ */
+function loadScoring(fights, settings = {}) {
+    const { window } = loadExtension({ fixture: "locations.html", settings: { scoringHalfLifeDays: 0, ...settings } });
+    fights.forEach(({ state, goldWon = 0, role = "attacker", daysAgo = 0 }, i) => {
+        const timestamp = new Date(Date.now() - daysAgo * DAY_MS).toISOString();
+        window.updateFightHistory(window.COMBAT_TYPES.ARENA, `report-${i}`, OPPONENT, { state, goldWon, role, timestamp });
+    });
+    return window;
+}
+
+/**
+ * @param {Window} window
+ * @param {object} [extra]
+ * @returns {object}
+ */
+function score(window, extra) {
+    return window.scoreOpponent(window.COMBAT_TYPES.ARENA, OPPONENT, extra);
+}
+
+const TWO_WINS_ONE_LOSS = [{ state: "win", goldWon: 200 }, { state: "win", goldWon: 200 }, { state: "loss" }];
+
+test("getFightWeight halves a fight's weight every half-life", () => {
+    const { window } = loadExtension({ fixture: "locations.html" });
+    const now = Date.now();
+
+    assert.equal(window.getFightWeight(new Date(now).toISOString(), 14, now), 1);
+    assert.equal(window.getFightWeight(new Date(now - 14 * DAY_MS).toISOString(), 14, now), 0.5);
+    assert.equal(window.getFightWeight(new Date(now - 28 * DAY_MS).toISOString(), 14, now), 0.25);
+    assert.equal(window.getFightWeight(new Date(now - 28 * DAY_MS).toISOString(), 0, now), 1);
+});
+
+test("the Bayesian model shrinks the win rate towards the Beta prior", () => {
+    const window = loadScoring(TWO_WINS_ONE_LOSS);
+
+    const result = score(window);
+
+    assert.equal(result.pWin, 3 / 5);
+    assert.equal(result.averageGold, 200);
+    assert.equal(result.score, 120);
+    assert.equal(result.known, true);
+});
+
+test("the Bayesian model keeps a prior of 0 instead of replacing it", () => {
+    const window = loadScoring(TWO_WINS_ONE_LOSS, { scoringPriorWins: 0, scoringPriorLosses: 0 });
+
+    assert.equal(score(window).pWin, 2 / 3);
+});
+
+test("the Bayesian model calls an unknown opponent a coin flip without any prior", () => {
+    const window = loadScoring([], { scoringPriorWins: 0, scoringPriorLosses: 0 });
+
+    const result = score(window);
+
+    assert.equal(result.pWin, 0.5);
+    assert.equal(result.known, false);
+});
+
+test("the Bayesian model weighs old fights less", () => {
+    const window = loadScoring([{ state: "win", goldWon: 200, daysAgo: 14 }, { state: "loss" }], {
+        scoringPriorWins: 0,
+        scoringPriorLosses: 0,
+        scoringHalfLifeDays: 14
+    });
+
+    assert.ok(Math.abs(score(window).pWin - 1 / 3) < 1e-6);
+});
+
+test("the Bayesian model leaves out fights where the opponent attacked us", () => {
+    const window = loadScoring([
+        ...TWO_WINS_ONE_LOSS,
+        { state: "loss", role: "defender" },
+        { state: "loss", role: "defender" }
+    ]);
+
+    assert.equal(score(window).pWin, 3 / 5);
+});
+
+test("the Bayesian model centres the prior on the simulated win chance", () => {
+    const window = loadScoring([], { scoringPriorWins: 2, scoringPriorLosses: 2 });
+
+    assert.equal(score(window, { simulation: { pWin: 0.75 } }).pWin, 0.75);
+});
+
+test("the win-rate model uses the raw win rate and gold per win", () => {
+    const window = loadScoring(TWO_WINS_ONE_LOSS, { scoringModel: "winrate" });
+
+    const result = score(window);
+
+    assert.equal(result.pWin, 2 / 3);
+    assert.equal(result.averageGold, 200);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+const ARENA_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=arena&submod=serverArena&aType=2&sh=FIXTURE";
+
+/**
+ * Loads the Arena table with our HP at `hp` of 1000 and counts clicks on the search button.
+ *
+ * @param {number} hp
+ * @param {object} [settings]
+ * @returns {{ window: Window, storage: object, searches: () => number }}
+ */
+function loadArena(hp, settings = {}) {
+    const page = loadExtension({
+        fixture: "arena.html",
+        url: ARENA_URL,
+        settings: {
+            autoScout: false, explorationRate: 0, refreshOpponents: true, minOpponentScore: 0,
+            opponentRefreshRetries: 2, hpFloorArena: 0.1, ...settings
+        }
+    });
+    const { window } = page;
+    window.$("body").prepend(`<div id="header_values_hp_bar" data-value="${hp}" data-max-value="1000"></div>`);
+    let searches = 0;
+    window.$("form").on("submit", (event) => {
+        event.preventDefault();
+        searches++;
+    });
+    return { ...page, searches: () => searches };
+}
+
+test("an Arena table held back only by our HP is not searched again", async () => {
+    const { window, storage, searches } = loadArena(50);
+    const { ARENA } = window.COMBAT_TYPES;
+
+    assert.equal(await window.selectOptimalArenaAttack(window.$("#own2")), null);
+    assert.equal(window.attackRejections[ARENA], window.ATTACK_REJECTIONS.HP_GATE);
+
+    await window.handleNoGoodOpponent(ARENA, window.attackRejections[ARENA]);
+
+    assert.equal(searches(), 0);
+    assert.equal(storage.gladex_opponent_search[ARENA].attempts, 0);
+    assert.ok(window.getOpponentSkipRemaining(ARENA) > 0);
+    assert.ok(window.getOpponentSkipRemaining(ARENA) <= window.OPPONENT_HP_SKIP_SECONDS);
+});
+
+test("opponents scoring below the minimum are searched again while the budget lasts", async () => {
+    const { window, storage, searches } = loadArena(900, { minOpponentScore: 1000000 });
+    const { ARENA } = window.COMBAT_TYPES;
+
+    assert.equal(await window.selectOptimalArenaAttack(window.$("#own2")), null);
+    assert.equal(window.attackRejections[ARENA], window.ATTACK_REJECTIONS.LOW_SCORE);
+
+    await window.handleNoGoodOpponent(ARENA, window.attackRejections[ARENA]);
+
+    assert.equal(searches(), 1);
+    assert.equal(storage.gladex_opponent_search[ARENA].attempts, 1);
+    assert.equal(window.getOpponentSkipRemaining(ARENA), 0);
+});
+
+test("the task is skipped once the search budget is spent", async () => {
+    const { window, searches } = loadArena(900);
+    const { ARENA, LOW_SCORE } = { ...window.COMBAT_TYPES, ...window.ATTACK_REJECTIONS };
+
+    for (let i = 0; i < 3; i++) {
+        await window.handleNoGoodOpponent(ARENA, LOW_SCORE);
+    }
+
+    assert.equal(searches(), 2);
+    assert.ok(window.getOpponentSkipRemaining(ARENA) > window.OPPONENT_HP_SKIP_SECONDS);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const REPORT_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=reports&t=3&reportId=123&sh=FIXTURE";
+
+test("parseTurmaReport reads the winner, rewards and opponent of a won attack", () => {
+    const { window } = loadExtension({ fixture: "turma-report.html", url: REPORT_URL });
+
+    const report = plain(window.parseTurmaReport());
+
+    assert.equal(report.reportId, "123");
+    assert.equal(report.opponent, "s1-en|4242|Brutus");
+    assert.equal(report.result.state, "win");
+    assert.equal(report.result.role, "attacker");
+    assert.equal(report.result.goldWon, 120);
+    assert.equal(report.result.xpGained, 15);
+    assert.equal(report.result.fameGained, 3);
+    assert.equal(report.result.raidedAmount, 120);
+});
+
+test("parseTurmaReport gives up without our player name", () => {
+    const { window } = loadExtension({ fixture: "turma-report.html", url: REPORT_URL, playerName: null });
+
+    assert.equal(window.parseTurmaReport(), null);
+});
+
+test("parseTurmaReport needs a reportId in the URL", () => {
+    const { window } = loadExtension({
+        fixture: "turma-report.html",
+        url: "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=reports&t=3&sh=FIXTURE"
+    });
+
+    assert.equal(window.parseTurmaReport(), null);
+});
+
+test("parseArenaReport keys a lost defence by the attacker's own server", () => {
+    const { window } = loadExtension({ fixture: "arena-report.html", url: REPORT_URL });
+
+    const report = plain(window.parseArenaReport());
+
+    assert.equal(report.reportId, "123");
+    assert.equal(report.opponent, "s7-en|99|Cassius");
+    assert.equal(report.result.state, "loss");
+    assert.equal(report.result.role, "defender");
+    assert.equal(report.result.goldWon, 0);
+    assert.equal(report.result.raidedAmount, 300);
+});
+
+test("parseLocations stores linked and inactive locations with their IDs", () => {
+    const { window, storage } = loadExtension({ fixture: "locations.html" });
+
+    window.parseLocations();
+
+    assert.deepStrictEqual(storage.locations, [
+        { name: "Grimwood", locId: 0 },
+        { name: "Pirate Harbour", locId: 1 },
+        { name: "Misty Mountains", locId: 2 }
+    ]);
+});
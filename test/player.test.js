@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, plain } = require("./helpers/load-extension");
+
+const REPORT_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=reports&t=3&reportId=123&sh=FIXTURE";
+
+/**
+ * Reads the sides of the Turma report (Maximus attacked Brutus) as the given player.
+ *
+ * @param {string} playerName
+ * @returns {object|null}
+ */
+function readSides(playerName) {
+    const { window } = loadExtension({ fixture: "turma-report.html", url: REPORT_URL, playerName });
+    return plain(window.getReportSides(window.document.querySelector("#content")));
+}
+
+test("getReportSides makes us the attacker when the attacker is us", () => {
+    assert.deepStrictEqual(readSides("Maximus"), {
+        attackerName: "Maximus",
+        defenderName: "Brutus",
+        role: "attacker",
+        opponent: "Brutus",
+        opponentKey: "s1-en|4242|Brutus"
+    });
+});
+
+test("getReportSides makes us the defender when the defender is us", () => {
+    const sides = readSides("Brutus");
+
+    assert.equal(sides.role, "defender");
+    assert.equal(sides.opponentKey, "s1-en|1001|Maximus");
+});
+
+test("getReportSides ignores reports that involve neither of our names", () => {
+    assert.equal(readSides("Lucius"), null);
+});
+
+test("getServerInfo reads the server and country from the hostname", () => {
+    const { window } = loadExtension({ fixture: "locations.html" });
+
+    assert.deepStrictEqual(plain(window.getServerInfo("s36-de.gladiatus.gameforge.com")), {
+        serverId: "36",
+        country: "de",
+        key: "s36-de"
+    });
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+/**
+ * A report where we defended against `opponent`.
+ *
+ * @param {string} reportId
+ * @param {string} opponent
+ * @param {number} raidedAmount
+ * @returns {object}
+ */
+function defence(reportId, opponent, raidedAmount) {
+    return {
+        reportId,
+        opponent,
+        result: { role: "defender", state: "loss", raidedAmount, timestamp: new Date().toISOString() }
+    };
+}
+
+test("attackers without a player ID match the attack rows by name on any server", async () => {
+    const { window } = loadExtension({ fixture: "arena.html", settings: { revengeExpiryHours: 24 } });
+    const { ARENA } = window.COMBAT_TYPES;
+
+    await window.recordRevengeReport(ARENA, defence("1", "s1-en||Cassius", 300));
+
+    assert.equal(window.revengeQueue[0].opponent, "||Cassius");
+    assert.equal(window.getRevengeAmount(ARENA, "s7-en|99|Cassius"), 300);
+    assert.equal(window.getRevengeAmount(ARENA, "s7-en|99|Brutus"), null);
+});
+
+test("attackers with a player ID only match that player", async () => {
+    const { window } = loadExtension({ fixture: "arena.html", settings: { revengeExpiryHours: 24 } });
+    const { ARENA } = window.COMBAT_TYPES;
+
+    await window.recordRevengeReport(ARENA, defence("1", "s7-en|99|Cassius", 300));
+
+    assert.equal(window.getRevengeAmount(ARENA, "s7-en|99|Cassius"), 300);
+    assert.equal(window.getRevengeAmount(ARENA, "s1-en|12|Cassius"), null);
+});
+
+test("winning against an attacker settles their entries without a player ID", async () => {
+    const { window } = loadExtension({ fixture: "arena.html", settings: { revengeExpiryHours: 24 } });
+    const { ARENA } = window.COMBAT_TYPES;
+    await window.recordRevengeReport(ARENA, defence("1", "s1-en||Cassius", 300));
+
+    await window.recordRevengeReport(ARENA, {
+        reportId: "2",
+        opponent: "s7-en|99|Cassius",
+        result: { role: "attacker", state: "win", timestamp: new Date().toISOString() }
+    });
+
+    assert.equal(window.revengeQueue.length, 0);
+});
+
+test("loadRevengeQueue migrates stored entries without a player ID", async () => {
+    const timestamp = new Date().toISOString();
+    const { window, storage } = loadExtension({
+        fixture: "arena.html",
+        settings: { revengeExpiryHours: 24 },
+        storage: {
+            gladex_revenge_queue: {
+                "s1-en": [
+                    { type: "arena", opponent: "Cassius", reportId: "1", raidedAmount: 100, timestamp },
+                    { type: "arena", opponent: "s1-en||Brutus", reportId: "2", raidedAmount: 200, timestamp },
+                    { type: "arena", opponent: "s1-en|22|Titus", reportId: "3", raidedAmount: 300, timestamp }
+                ]
+            }
+        }
+    });
+
+    await window.loadRevengeQueue();
+
+    assert.deepStrictEqual(
+        storage.gladex_revenge_queue["s1-en"].map((entry) => entry.opponent),
+        ["||Cassius", "||Brutus", "s1-en|22|Titus"]
+    );
+});
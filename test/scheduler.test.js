@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+/**
+ * Loads a page with only the given stub tasks registered.
+ *
+ * @param {Array<object>} tasks - { id, cooldown, ready, enabled } plus an optional isReady.
+ * @param {object} [settings]
+ * @returns {{ window: Window, storage: object, runs: Array<string> }}
+ */
+function loadScheduler(tasks, settings = {}) {
+    const { window, storage } = loadExtension({ fixture: "locations.html", settings });
+    const runs = [];
+    window.schedulerTasks = {};
+    tasks.forEach(({ id, cooldown = 0, enabled = true, isReady }) => window.registerTask({
+        id,
+        label: id,
+        isEnabled: () => enabled,
+        getCooldown: () => cooldown,
+        isReady,
+        run: () => runs.push(id)
+    }));
+    return { window, storage, runs };
+}
+
+test("runSchedulerCycle runs the ready task with the best priority", () => {
+    const { window, runs } = loadScheduler([{ id: "arena" }, { id: "expedition" }, { id: "turma" }]);
+
+    assert.equal(window.runSchedulerCycle(), "expedition");
+    assert.deepStrictEqual(runs, ["expedition"]);
+});
+
+test("selectNextTask skips tasks on cooldown, disabled or not ready", () => {
+    const { window } = loadScheduler([
+        { id: "heal", isReady: () => false },
+        { id: "expedition", cooldown: 30 },
+        { id: "dungeon", enabled: false },
+        { id: "arena" }
+    ]);
+
+    const { task, candidates } = window.selectNextTask();
+
+    assert.equal(task.id, "arena");
+    assert.equal(candidates.find((candidate) => candidate.id === "expedition").cooldown, 30);
+    assert.equal(candidates.find((candidate) => candidate.id === "dungeon").enabled, false);
+});
+
+test("selectNextTask follows settings.taskPriority and ranks unlisted tasks last", () => {
+    const { window } = loadScheduler([{ id: "custom" }, { id: "arena" }, { id: "turma" }], {
+        taskPriority: ["arena", "turma"]
+    });
+
+    assert.equal(window.selectNextTask().task.id, "arena");
+    assert.equal(window.getTaskPriority("custom"), 2);
+});
+
+test("selectNextTask treats a task that throws as not ready", () => {
+    const { window } = loadScheduler([
+        { id: "heal", isReady: () => { throw new Error("broken"); } },
+        { id: "arena" }
+    ]);
+
+    assert.equal(window.selectNextTask().task.id, "arena");
+});
+
+test("runSchedulerCycle persists a repeated pick at most once per interval", () => {
+    const { window, storage } = loadScheduler([{ id: "arena" }, { id: "turma", cooldown: 10 }]);
+
+    window.runSchedulerCycle();
+    window.runSchedulerCycle();
+    window.runSchedulerCycle();
+    assert.equal(storage.gladex_scheduler_log.length, 1);
+
+    window.schedulerTasks.arena.isEnabled = () => false;
+    window.schedulerTasks.turma.getCooldown = () => 0;
+    window.runSchedulerCycle();
+    assert.deepStrictEqual(storage.gladex_scheduler_log.map((decision) => decision.taskId), ["arena", "turma"]);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension, readFixture, plain } = require("./helpers/load-extension");
+
+const PROFILE_URL = "https://s1-en.gladiatus.gameforge.com/game/index.php?mod=player&p=4242&sh=FIXTURE";
+
+const BRUTUS = {
+    level: 24,
+    strength: 120,
+    dexterity: 95,
+    agility: 80,
+    constitution: 110,
+    charisma: 60,
+    intelligence: 40,
+    armour: 1250,
+    damageMin: 38,
+    damageMax: 52,
+    hp: 1450,
+    maxHp: 1600
+};
+
+/**
+ * Loads a page whose fetch() serves the profile fixture and counts the requests.
+ *
+ * @param {object} [options] - { settings, storage } for loadExtension.
+ * @returns {{ window: Window, storage: object, fetches: Array<string> }}
+ */
+function loadScouting({ settings = {}, storage = {} } = {}) {
+    const page = loadExtension({ fixture: "locations.html", settings, storage });
+    const fetches = [];
+    page.window.SCOUT_FETCH_DELAY_MS = 0;
+    page.window.fetch = async (url) => {
+        fetches.push(url);
+        return { ok: true, status: 200, text: async () => readFixture("profile.html") };
+    };
+    return { ...page, fetches };
+}
+
+test("parseProfileStats reads the level, attributes, armour, damage and HP", () => {
+    const { window } = loadExtension({ fixture: "profile.html" });
+
+    assert.deepStrictEqual(plain(window.parseProfileStats(window.document)), BRUTUS);
+});
+
+test("parseProfileStats gives up on a page without a character level", () => {
+    const { window } = loadExtension({ fixture: "locations.html" });
+
+    assert.equal(window.parseProfileStats(window.document), null);
+});
+
+test("scoutOpponents fetches a profile once and caches it", async () => {
+    const { window, storage, fetches } = loadScouting({ settings: { scoutCacheHours: 12 } });
+
+    const first = await window.scoutOpponents([PROFILE_URL]);
+    const second = await window.scoutOpponents([PROFILE_URL]);
+
+    assert.deepStrictEqual(plain(first[PROFILE_URL]), BRUTUS);
+    assert.deepStrictEqual(plain(second[PROFILE_URL]), BRUTUS);
+    assert.equal(fetches.length, 1);
+    assert.ok(storage.gladex_scout_cache["s1-en.gladiatus.gameforge.com|4242"]);
+});
+
+test("scoutOpponents fetches again once the cache entry is older than scoutCacheHours", async () => {
+    const { window, fetches } = loadScouting({
+        settings: { scoutCacheHours: 12 },
+        storage: {
+            gladex_scout_cache: {
+                "s1-en.gladiatus.gameforge.com|4242": { stats: { ...BRUTUS, level: 20 }, fetchedAt: Date.now() - 13 * 3600000 }
+            }
+        }
+    });
+
+    const results = await window.scoutOpponents([PROFILE_URL]);
+
+    assert.equal(fetches.length, 1);
+    assert.equal(results[PROFILE_URL].level, 24);
+});
+
+test("isClearlyStronger rules out opponents too many levels above us", () => {
+    const { window } = loadExtension({ fixture: "locations.html", settings: { scoutMaxLevelGap: 5, scoutMinPowerShare: 0 } });
+
+    assert.equal(window.isClearlyStronger({ ...BRUTUS, level: 18 }, BRUTUS), true);
+    assert.equal(window.isClearlyStronger({ ...BRUTUS, level: 19 }, BRUTUS), false);
+});
+
+test("isClearlyStronger rules out opponents we have too small a share of the power against", () => {
+    const { window } = loadExtension({ fixture: "locations.html", settings: { scoutMaxLevelGap: 50, scoutMinPowerShare: 0.3 } });
+    const weak = { ...BRUTUS, damageMin: 5, damageMax: 7, hp: 300, maxHp: 300 };
+
+    assert.ok(window.getPowerShare(weak, BRUTUS) < 0.3);
+    assert.equal(window.isClearlyStronger(weak, BRUTUS), true);
+    assert.equal(window.isClearlyStronger(BRUTUS, BRUTUS), false);
+    // A simulation overrides the power share
+    assert.equal(window.isClearlyStronger(weak, BRUTUS, { pWin: 0.6 }), false);
+});
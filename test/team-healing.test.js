@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadExtension } = require("./helpers/load-extension");
+
+/**
+ * Loads the overview of a two-member team whose mercenary is at 100/1000 HP, with the
+ * character selection and eating behaving like the game.
+ *
+ * @param {boolean} withFood - Whether the inventory holds any food.
+ * @returns {Window}
+ */
+function loadTeam(withFood) {
+    const { window } = loadExtension({
+        fixture: "overview-team.html",
+        settings: { healTeam: true, autoTurma: true, minHP: 0.5, teamMinHP: [0.5], healTargetHP: 1 }
+    });
+    window.INVENTORY_TAB_SETTLE_MS = 0;
+    window.INVENTORY_TAB_TIMEOUT_MS = 200;
+    if (!withFood) {
+        window.$('[data-content-type="64"]').remove();
+    }
+
+    const hp = [800, 100];
+    const showHp = () => window.$("#char_leben").text(`${hp[window.getCurrentCharacter()]} / 1000`);
+    window.$(".charmercsel").on("click", (event) => {
+        window.$(".charmercsel").removeClass("active");
+        window.$(event.currentTarget).addClass("active");
+        showHp();
+    });
+
+    let dragged = null;
+    window.document.addEventListener("mousedown", (event) => {
+        dragged = event.target;
+    });
+    window.document.querySelector("#avatar .ui-droppable").addEventListener("mouseup", () => {
+        const character = window.getCurrentCharacter();
+        hp[character] = Math.min(1000, hp[character] + window.extractHealingValue(dragged.getAttribute("data-tooltip")));
+        dragged.remove();
+        showHp();
+    });
+    return window;
+}
+
+test("healTeam feeds the injured mercenary and marks the team as checked", async () => {
+    const window = loadTeam(true);
+
+    await window.healTeam();
+
+    assert.equal(window.teamHp.stale, false);
+    assert.equal(window.teamHp.members[1].hp, 1000);
+    assert.equal(window.getCurrentCharacter(), 0);
+    assert.equal(window.isTeamCheckDue(), false);
+});
+
+test("healTeam keeps the team stale when a member could not be fed, and retries later", async () => {
+    const window = loadTeam(false);
+
+    await window.healTeam();
+
+    assert.equal(window.teamHp.stale, true);
+    assert.equal(window.isTeamHpStale(), true);
+    assert.equal(window.isTeamCheckDue(), false);
+
+    window.teamHp.lastFailure -= window.TEAM_CHECK_RETRY_MS;
+    assert.equal(window.isTeamCheckDue(), true);
+});
+
+test("getMemberMinHP reads the stored thresholds and the comma separated string of older versions", () => {
+    const { window } = loadExtension({
+        fixture: "overview-team.html",
+        settings: { minHP: 0.4, teamMinHP: [0.6, 0.3] }
+    });
+
+    assert.equal(window.getMemberMinHP(0), 0.4);
+    assert.equal(window.getMemberMinHP(1), 0.6);
+    assert.equal(window.getMemberMinHP(3), 0.3);
+
+    window.settings.teamMinHP = "0.7, abc, 0.2,";
+    assert.equal(window.getMemberMinHP(1), 0.7);
+    assert.equal(window.getMemberMinHP(2), 0.2);
+
+    window.settings.teamMinHP = [];
+    assert.equal(window.getMemberMinHP(1), 0.4);
+});